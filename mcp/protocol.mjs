@@ -0,0 +1,531 @@
+/**
+ * MCP protocol layer: JSON-RPC 2.0 dispatch, resources and prompts on top of
+ * the tools in tools.mjs. Transport-agnostic — transports.mjs feeds it messages
+ * and delivers what it returns, and tests can call dispatch/handle directly.
+ */
+
+import {
+  API_TIMEOUT_MS, PLACE_CATEGORIES, TOOLS,
+  apiRequest, callTool, invalidArgumentsResult, isPlainObject, logError,
+  redactResult, redactSecrets, toStructuredRecommendations, toolTimeoutMs, validateArgs, withTimeout,
+} from './tools.mjs';
+
+// ─── Resources ───────────────────────────────────────────────────────────────
+// Every recommendation response this server fetches is kept as a resource at
+//   places://result/{lat},{lng}/{categories}
+// with lat/lng at 3 decimals and categories sorted and "+"-joined — the same grid
+// cell the API cache keys on, so the API's cached entries land on the same URIs.
+
+const RESULT_URI_TEMPLATE = 'places://result/{lat},{lng}/{categories}';
+const CACHE_STATUS_URI    = 'places://cache/status';
+const MAX_STORED_RESULTS  = 50;
+
+const storedResults = new Map(); // uri → { data, fetchedAt }, oldest first
+
+function resultUri(latitude, longitude, categories) {
+  const cats = [...(categories?.length ? categories : ['All'])].sort().join('+');
+  return `places://result/${latitude.toFixed(3)},${longitude.toFixed(3)}/${cats}`;
+}
+
+function parseResultUri(uri) {
+  const m = /^places:\/\/result\/(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)\/([A-Za-z]+(?:\+[A-Za-z]+)*)$/.exec(uri);
+  return m ? { latitude: Number(m[1]), longitude: Number(m[2]), categories: m[3].split('+') } : null;
+}
+
+// "places://result/48.8584,2.2945/Museum+Cafe" → "places://result/48.858,2.295/Cafe+Museum"
+function canonicalResourceUri(uri) {
+  if (typeof uri !== 'string') throw new RpcError(INVALID_PARAMS, 'Invalid params: "uri" must be a string');
+  const parsed = parseResultUri(uri);
+  return parsed ? resultUri(parsed.latitude, parsed.longitude, parsed.categories) : uri;
+}
+
+function rememberResult(data) {
+  if (data.latitude === 0 && data.longitude === 0) return; // geocoding failed — no location to key on
+  const uri      = resultUri(data.latitude, data.longitude, data.categories);
+  const previous = storedResults.get(uri);
+
+  storedResults.delete(uri); // re-insert to keep newest last
+  storedResults.set(uri, { data, fetchedAt: new Date().toISOString() });
+  if (storedResults.size > MAX_STORED_RESULTS) storedResults.delete(storedResults.keys().next().value);
+
+  if (!previous) {
+    broadcast({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+  } else if (previous.data.generatedAt !== data.generatedAt) {
+    // A fresh pipeline run (not the same cached response again) replaced the old result
+    for (const conn of connections) {
+      if (conn.subscriptions.has(uri)) {
+        conn.push({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+      }
+    }
+  }
+}
+
+function broadcast(obj) {
+  for (const conn of connections) {
+    if (conn.protocolVersion) conn.push(obj); // initialized clients only
+  }
+}
+
+function describeResult(uri, data, note) {
+  const cats = (data.categories?.length ? data.categories : ['All']).join(' + ');
+  return {
+    uri,
+    name:        uri.slice('places://result/'.length),
+    title:       `${cats} near ${data.resolvedAddress ?? `${data.latitude.toFixed(3)}, ${data.longitude.toFixed(3)}`}`,
+    description: `${data.recommendations?.length ?? 0} places · ${note}`,
+    mimeType:    'application/json',
+  };
+}
+
+async function listResources(signal) {
+  const resources = [{
+    uri:      CACHE_STATUS_URI,
+    name:     'cache-status',
+    title:    'Recommendation cache statistics',
+    mimeType: 'application/json',
+  }];
+  const listed = new Set();
+
+  for (const [uri, { data, fetchedAt }] of [...storedResults].reverse()) {
+    resources.push(describeResult(uri, data, `fetched ${fetchedAt}`));
+    listed.add(uri);
+  }
+
+  // Cached results from other clients (e.g. the web UI); list what we have if the API is down
+  try {
+    const { data: entries } = await apiRequest('/api/recommendations/cache/entries', { signal, retries: 0 });
+    for (const e of Array.isArray(entries) ? entries : []) {
+      if (e.latitude === 0 && e.longitude === 0) continue; // address-keyed, no location
+      const uri = resultUri(e.latitude, e.longitude, e.categories);
+      if (listed.has(uri)) continue;
+      listed.add(uri);
+      resources.push({
+        uri,
+        name:        uri.slice('places://result/'.length),
+        title:       `${e.categories.join(' + ')} near ${e.latitude.toFixed(3)}, ${e.longitude.toFixed(3)}`,
+        description: `API cache entry · expires ${e.expiresAt}`,
+        mimeType:    'application/json',
+      });
+    }
+  } catch (err) {
+    if (signal.aborted) throw err;
+    logError(`listing API cache entries failed: ${err.message}`);
+  }
+
+  return { resources };
+}
+
+async function readResource(uri, signal) {
+  if (uri === CACHE_STATUS_URI) {
+    const { data } = await apiRequest('/api/recommendations/cache/status', { signal });
+    return { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) };
+  }
+
+  const parsed = parseResultUri(uri);
+  if (!parsed) throw new RpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  const canonical = resultUri(parsed.latitude, parsed.longitude, parsed.categories);
+
+  let data = storedResults.get(canonical)?.data;
+  if (!data) {
+    // Same key format as CacheKeyBuilder.Build in the API
+    const [cell, cats] = canonical.slice('places://result/'.length).split('/');
+    const cacheKey = `rec:v1:${cell.replace(',', ':')}:${cats}`;
+    const entry = await apiRequest(`/api/recommendations/cache/entries/${encodeURIComponent(cacheKey)}`,
+      { signal, allowStatus: [404] });
+    if (entry.status === 404) {
+      throw new RpcError(RESOURCE_NOT_FOUND,
+        `Resource not found: ${uri} — no stored or cached result for this location; run get_recommendations first`);
+    }
+    data = entry.data;
+  }
+
+  return { uri, mimeType: 'application/json', text: JSON.stringify(toStructuredRecommendations(data), null, 2) };
+}
+
+// ─── Prompts ─────────────────────────────────────────────────────────────────
+// Ready-made trip-planning workflows. Each expands into a user message telling the
+// model which tools to call and with which arguments.
+
+const PROMPTS = [
+  {
+    name:        'plan_afternoon',
+    title:       'Plan an afternoon',
+    description: 'Plan a few hours of sightseeing, food and coffee around an address.',
+    arguments: [
+      { name: 'address',   description: 'Where the afternoon starts (e.g. "Eiffel Tower, Paris")', required: true },
+      { name: 'interests', description: 'Comma-separated interests, e.g. "art, coffee, parks"' },
+      { name: 'hours',     description: 'How long the afternoon lasts, in hours (default: 4)' },
+    ],
+    build({ address, interests, hours }) {
+      const duration = clampInt(hours, 1, 12, 4);
+      return [
+        `Plan a ${duration}-hour afternoon starting at "${address}".`,
+        '',
+        `1. Call \`geocode_address\` with { "query": ${JSON.stringify(address)}, "limit": 1 } and use the top result's latitude and longitude.`,
+        `2. Call \`get_recommendations\` with those coordinates, "categories": ${JSON.stringify(['TouristAttraction', 'Museum', 'Park', 'Cafe'])}, "radiusMeters": 1500 and "maxResults": 15.`,
+        interests ? `3. Favour places matching these interests: ${interests}.` : '3. Favour a varied mix: one or two sights, something outdoors, and a coffee break.',
+        `4. Pick 3–5 places that fit in ${duration} hours including walking time, and order them into a walkable route.`,
+        '',
+        'For each stop give the name, why it is worth it, and roughly how long to spend there. Prefer places with higher confidence and a verified flag.',
+      ].join('\n');
+    },
+  },
+  {
+    name:        'compare_neighbourhoods',
+    title:       'Compare two neighbourhoods',
+    description: 'Compare two areas side by side for the same kinds of places.',
+    arguments: [
+      { name: 'area_a',     description: 'First neighbourhood or address', required: true },
+      { name: 'area_b',     description: 'Second neighbourhood or address', required: true },
+      { name: 'categories', description: `Comma-separated categories: ${PLACE_CATEGORIES.join(', ')}`, required: true },
+    ],
+    build({ area_a, area_b, categories }) {
+      const cats = parseCategories(categories);
+      return [
+        `Compare "${area_a}" and "${area_b}" for ${cats.join(', ')}.`,
+        '',
+        `1. Call \`geocode_address\` once for each area (with "limit": 1) to get their coordinates.`,
+        `2. Call \`get_recommendations\` for each area's coordinates with "categories": ${JSON.stringify(cats)}, "radiusMeters": 1000 and "maxResults": 10.`,
+        '3. Compare the two result sets: how many strong options each has (confidence, agreement between AI providers, verified places, ratings), the variety on offer, and the standout places.',
+        '',
+        'Finish with a short verdict on which area suits these interests better, and why.',
+      ].join('\n');
+    },
+  },
+  {
+    name:        'find_dinner_spot',
+    title:       'Find a dinner spot',
+    description: 'Shortlist restaurants for dinner within walking distance of an address.',
+    arguments: [
+      { name: 'address',     description: 'Where you will be before dinner', required: true },
+      { name: 'radius',      description: 'Search radius in metres, 500–5000 (default: 1000)' },
+      { name: 'preferences', description: 'Cuisine, budget, dietary needs or atmosphere' },
+    ],
+    build({ address, radius, preferences }) {
+      const radiusMeters = clampInt(radius, 500, 5000, 1000);
+      return [
+        `Find a dinner spot within ${radiusMeters} m of "${address}".`,
+        '',
+        `1. Call \`geocode_address\` with { "query": ${JSON.stringify(address)}, "limit": 1 } and use the top result's coordinates.`,
+        `2. Call \`get_recommendations\` with those coordinates, "categories": ["Restaurant"], "radiusMeters": ${radiusMeters} and "maxResults": 10.`,
+        preferences
+          ? `3. Keep only places that fit these preferences: ${preferences}.`
+          : '3. Keep the places best suited to a relaxed sit-down dinner.',
+        '',
+        'Recommend your top 3 with distance, rating and one line on why each is a good pick. Mention if none of them look like a good fit.',
+      ].join('\n');
+    },
+  },
+];
+
+function clampInt(value, min, max, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// "cafe, museum" → ['Cafe', 'Museum']; unknown names are rejected so the prompt never asks for invalid arguments
+function parseCategories(value) {
+  const names = String(value).split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = [];
+  const cats = names.map(name => {
+    const match = PLACE_CATEGORIES.find(c => c.toLowerCase() === name.toLowerCase().replace(/[\s_-]/g, ''));
+    if (!match) unknown.push(name);
+    return match;
+  });
+  if (unknown.length || !cats.length) {
+    throw new RpcError(INVALID_PARAMS,
+      `Invalid params: unknown categories ${unknown.map(c => `"${c}"`).join(', ') || '(none given)'}; expected ${PLACE_CATEGORIES.join(', ')}`);
+  }
+  return [...new Set(cats)];
+}
+
+function getPrompt(params) {
+  const prompt = PROMPTS.find(p => p.name === params.name);
+  if (!prompt) throw new RpcError(INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+
+  const args = params.arguments ?? {};
+  if (!isPlainObject(args)) throw new RpcError(INVALID_PARAMS, 'Invalid params: "arguments" must be an object');
+  const missing = prompt.arguments.filter(a => a.required && !String(args[a.name] ?? '').trim()).map(a => a.name);
+  if (missing.length) throw new RpcError(INVALID_PARAMS, `Invalid params: missing required arguments: ${missing.join(', ')}`);
+
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.build(args) } }],
+  };
+}
+
+// ─── JSON-RPC dispatch ───────────────────────────────────────────────────────
+// Transport-agnostic. `conn` is the per-client state (negotiated version, in-flight
+// requests); `notify` delivers server-initiated messages on whatever channel the
+// transport has for the current request.
+
+// Newest first — the first entry is offered when the client asks for one we don't know
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+export const PARSE_ERROR      = -32700;
+export const INVALID_REQUEST  = -32600;
+export const METHOD_NOT_FOUND = -32601;
+export const INVALID_PARAMS   = -32602;
+export const INTERNAL_ERROR   = -32603;
+export const RESOURCE_NOT_FOUND = -32002; // MCP-defined
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+// RFC 5424 severities, least severe first
+const LOG_LEVELS        = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const DEFAULT_LOG_LEVEL = 'warning'; // until the client calls logging/setLevel
+
+// Every live client, so resource notifications can reach subscribers on other connections
+const connections = new Set();
+
+// push: delivers a server-initiated message to this client outside any request
+export function createConnection(push) {
+  const conn = {
+    protocolVersion: null,
+    requests:        new Map(), // id → AbortController
+    subscriptions:   new Set(), // subscribed resource URIs
+    logLevel:        DEFAULT_LOG_LEVEL,
+    push,
+  };
+  connections.add(conn);
+  return conn;
+}
+
+export function closeConnection(conn) {
+  for (const controller of conn.requests.values()) controller.abort('Session ended');
+  connections.delete(conn);
+}
+
+// The `report` a tool call gets (see SILENT_REPORTER in tools.mjs): progress() is a no-op
+// without a token, log() filters by the connection's level
+function createReporter(conn, notify, progressToken) {
+  const tracksProgress = typeof progressToken === 'string' || typeof progressToken === 'number';
+  const wants = (level) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(conn.logLevel);
+  let last = -Infinity;
+  return {
+    tracksProgress,
+    wants,
+    progress(progress, total, message) {
+      if (!tracksProgress || progress <= last) return; // the spec requires strictly increasing values
+      last = progress;
+      notify({
+        jsonrpc: '2.0',
+        method:  'notifications/progress',
+        params:  { progressToken, progress, total, message: redactSecrets(message) },
+      });
+    },
+    log(level, message) {
+      if (!wants(level)) return;
+      notify({
+        jsonrpc: '2.0',
+        method:  'notifications/message',
+        params:  { level, logger: 'recommendations', data: redactSecrets(message) },
+      });
+    },
+    resultFetched: rememberResult,
+    cacheChanged() {
+      // Cached results listed by resources/list may be gone now
+      broadcast({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+    },
+  };
+}
+
+const METHODS = {
+  initialize(params, { conn }) {
+    if (typeof params.protocolVersion !== 'string') {
+      throw new RpcError(INVALID_PARAMS, 'Invalid params: "protocolVersion" must be a string');
+    }
+    conn.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+    return {
+      protocolVersion: conn.protocolVersion,
+      capabilities:    { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {}, logging: {} },
+      serverInfo:      { name: 'recommendations', version: '1.0.0' },
+    };
+  },
+
+  ping() {
+    return {};
+  },
+
+  'logging/setLevel'(params, { conn }) {
+    if (!LOG_LEVELS.includes(params.level)) {
+      throw new RpcError(INVALID_PARAMS, `Invalid params: "level" must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    conn.logLevel = params.level;
+    return {};
+  },
+
+  'prompts/list'() {
+    return { prompts: PROMPTS.map(({ build, ...prompt }) => prompt) };
+  },
+
+  'prompts/get'(params) {
+    return getPrompt(params);
+  },
+
+  async 'resources/list'(params, { signal }) {
+    const timeout = withTimeout(signal, API_TIMEOUT_MS);
+    try {
+      return await listResources(timeout.signal);
+    } finally {
+      timeout.clear();
+    }
+  },
+
+  'resources/templates/list'() {
+    return {
+      resourceTemplates: [{
+        uriTemplate: RESULT_URI_TEMPLATE,
+        name:        'recommendation-result',
+        title:       'Recommendations for a location',
+        description: 'A stored or cached recommendation result. lat/lng at 3 decimals, categories sorted and joined with "+" (e.g. places://result/48.858,2.295/Cafe+Museum).',
+        mimeType:    'application/json',
+      }],
+    };
+  },
+
+  async 'resources/read'(params, { signal }) {
+    if (typeof params.uri !== 'string') {
+      throw new RpcError(INVALID_PARAMS, 'Invalid params: "uri" must be a string');
+    }
+    const timeout = withTimeout(signal, API_TIMEOUT_MS);
+    try {
+      return { contents: [await readResource(params.uri, timeout.signal)] };
+    } finally {
+      timeout.clear();
+    }
+  },
+
+  'resources/subscribe'(params, { conn }) {
+    conn.subscriptions.add(canonicalResourceUri(params.uri));
+    return {};
+  },
+
+  'resources/unsubscribe'(params, { conn }) {
+    conn.subscriptions.delete(canonicalResourceUri(params.uri));
+    return {};
+  },
+
+  'tools/list'() {
+    return { tools: TOOLS };
+  },
+
+  async 'tools/call'(params, { conn, notify, signal }) {
+    if (typeof params.name !== 'string') {
+      throw new RpcError(INVALID_PARAMS, 'Invalid params: "name" must be a string');
+    }
+    const tool = TOOLS.find(t => t.name === params.name);
+    if (!tool) {
+      throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+    if (params.arguments !== undefined && !isPlainObject(params.arguments)) {
+      throw new RpcError(INVALID_PARAMS, 'Invalid params: "arguments" must be an object');
+    }
+
+    // Bad arguments are a tool-level error the model can read and correct, not a protocol error
+    const errors = validateArgs(tool.inputSchema, params.arguments ?? {});
+    if (errors.length) return invalidArgumentsResult(tool.name, errors);
+
+    const report  = createReporter(conn, notify, params._meta?.progressToken);
+    const started = Date.now();
+    const timeout = withTimeout(signal, toolTimeoutMs(tool.name), `MCP_TIMEOUT_${tool.name.toUpperCase()}_MS`);
+    try {
+      const result = await callTool(params.name, params.arguments ?? {}, timeout.signal, report);
+      report.log(result.isError ? 'warning' : 'info',
+        `${tool.name} ${result.isError ? 'returned an error' : 'finished'} in ${((Date.now() - started) / 1000).toFixed(1)} s`);
+      // structuredContent arrived in 2025-06-18; older clients get the same JSON as text
+      // (unless the tool already returned it, as get_recommendations does with verbosity "raw")
+      if (result.structuredContent && !result.isError && (conn.protocolVersion ?? '') < '2025-06-18') {
+        const json = JSON.stringify(result.structuredContent, null, 2);
+        if (!result.content.some(c => c.text === json)) result.content.push({ type: 'text', text: json });
+      }
+      return redactResult(result);
+    } catch (err) {
+      if (signal.aborted) throw err;
+      report.log('error', `${tool.name} failed: ${err.message}`);
+      return { isError: true, content: [{ type: 'text', text: redactSecrets(`Error: ${err.message}`) }] };
+    } finally {
+      timeout.clear();
+    }
+  },
+};
+
+const NOTIFICATIONS = {
+  'notifications/initialized'() {},
+
+  'notifications/cancelled'(params, { conn }) {
+    conn.requests.get(params.requestId)?.abort(params.reason ?? 'Cancelled by client');
+  },
+};
+
+// A single message or a batch array → the response(s), or null when nothing is owed
+export async function dispatch(payload, conn, notify) {
+  if (!Array.isArray(payload)) return handle(payload, conn, notify);
+  if (payload.length === 0) return rpcError(null, INVALID_REQUEST, 'Invalid Request: empty batch');
+
+  const responses = await Promise.all(payload.map(msg =>
+    msg?.method === 'initialize'
+      ? rpcError(msg.id ?? null, INVALID_REQUEST, 'Invalid Request: initialize cannot be batched')
+      : handle(msg, conn, notify)));
+  const owed = responses.filter(Boolean);
+  return owed.length ? owed : null;
+}
+
+export async function handle(msg, conn, notify) {
+  if (!isPlainObject(msg) || msg.jsonrpc !== '2.0') {
+    return rpcError(null, INVALID_REQUEST, 'Invalid Request');
+  }
+
+  // Responses to server requests — we never send any, so there is nothing to match
+  if (msg.method === undefined && ('result' in msg || 'error' in msg)) return null;
+
+  const isNotification = msg.id === undefined;
+  const validId = typeof msg.id === 'string' || typeof msg.id === 'number' || msg.id === null;
+  if (typeof msg.method !== 'string' || (!isNotification && !validId)) {
+    return rpcError(validId ? msg.id : null, INVALID_REQUEST, 'Invalid Request');
+  }
+
+  if (msg.params !== undefined && !isPlainObject(msg.params)) {
+    return isNotification ? null : rpcError(msg.id, INVALID_PARAMS, 'Invalid params: expected an object');
+  }
+  const params = msg.params ?? {};
+
+  if (isNotification) {
+    try {
+      await NOTIFICATIONS[msg.method]?.(params, { conn, notify });
+    } catch (err) {
+      logError(`${msg.method} failed: ${err.message}`);
+    }
+    return null; // notifications never get a reply, even unknown ones
+  }
+
+  const method = Object.hasOwn(METHODS, msg.method) ? METHODS[msg.method] : null;
+  if (!method) return rpcError(msg.id, METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+
+  const controller = new AbortController();
+  conn.requests.set(msg.id, controller);
+  try {
+    const result = await method(params, { conn, notify, signal: controller.signal });
+    // A cancelled request gets no response at all
+    return controller.signal.aborted ? null : { jsonrpc: '2.0', id: msg.id, result };
+  } catch (err) {
+    if (controller.signal.aborted) return null;
+    if (err instanceof RpcError) return rpcError(msg.id, err.code, err.message);
+    logError(`${msg.method} failed: ${err.stack ?? err.message}`);
+    return rpcError(msg.id, INTERNAL_ERROR, redactSecrets(`Internal error: ${err.message}`));
+  } finally {
+    if (conn.requests.get(msg.id) === controller) conn.requests.delete(msg.id);
+  }
+}
+
@@ -0,0 +1,120 @@
+// Shared test fixtures: a stub of the .NET Recommendations API and sample responses.
+// Test files start the stub first, point RECOMMENDATIONS_API_URL at it and only then
+// import the server modules, which read their configuration at import time.
+
+import http from 'node:http';
+
+export const SAMPLE_RESPONSE = {
+  resolvedAddress: 'Eiffel Tower, Paris, France',
+  latitude:        48.8584,
+  longitude:       2.2945,
+  radiusMeters:    1000,
+  categories:      ['Cafe'],
+  fromCache:       false,
+  generatedAt:     '2026-10-19T12:00:00Z',
+  recommendations: [
+    {
+      name:            'Café de l\'Homme',
+      description:     'Terrace café facing the tower',
+      category:        'Cafe',
+      confidenceScore: 0.92,
+      confidenceLevel: 'High',
+      agreementCount:  3,
+      highlights:      ['View'],
+      enrichedPlaceData: {
+        address:             '17 Place du Trocadéro, Paris',
+        latitude:            48.8627,
+        longitude:           2.2875,
+        rating:              4.3,
+        distanceMeters:      1250,
+        isVerifiedRealPlace: true,
+      },
+    },
+    {
+      name:            'Le Petit Kiosque',
+      description:     'Coffee cart in the park',
+      category:        'Cafe',
+      confidenceScore: 0.55,
+      confidenceLevel: 'Medium',
+      agreementCount:  1,
+      provenance: {
+        proposals: [{ provider: 'Anthropic', name: 'Le Petit Kiosque', description: 'Coffee cart', confidenceScore: 0.6, weight: 1 }],
+        verdicts:  [{ validatedBy: 'OpenAI', originalSource: 'Anthropic', validationScore: 0.5, notReviewed: true }],
+        score:     { baseScore: 0.6, validationScore: 0.5, validated: true, agreementBonus: 0, finalScore: 0.55 },
+      },
+    },
+  ],
+  metadata: {
+    providersUsed:            ['OpenAI', 'Anthropic'],
+    providersFailed:          [],
+    synthesizedBy:            'OpenAI',
+    googlePlacesEnriched:     true,
+    totalCandidatesEvaluated: 14,
+    totalElapsed:             '00:00:12.5',
+  },
+};
+
+export const DEFAULT_ROUTES = {
+  'POST /api/recommendations': () => ({ body: SAMPLE_RESPONSE }),
+  'GET /api/providers/status': () => ({
+    body: {
+      providers: [
+        { name: 'OpenAI', model: 'gpt-4o', available: true },
+        { name: 'Gemini', model: null, available: false },
+      ],
+      googlePlacesConfigured: false,
+    },
+  }),
+  'GET /api/geocode/suggest': (url) => ({
+    body: url.searchParams.get('q') === 'nowhere'
+      ? []
+      : [{ displayName: 'Eiffel Tower, Paris, France', latitude: 48.8584, longitude: 2.2945 }],
+  }),
+  'GET /api/recommendations/cache/status': () => ({
+    body: { totalEntries: 4, expiredEntries: 1, oldestEntry: '2026-10-18T09:00:00Z', newestEntry: '2026-10-19T11:00:00Z' },
+  }),
+  'GET /api/recommendations/cache/entries': () => ({ body: [] }),
+  'DELETE /api/recommendations/cache': () => ({ body: { message: 'Expired cache entries purged.' } }),
+};
+
+// routes: "METHOD /path" → (url, body) => { status = 200, body, headers }. Objects are
+// sent as JSON, strings as-is. Every request is recorded in `requests`; `routes` can be
+// changed between tests and `reset()` restores the defaults.
+export async function startStubApi() {
+  const api = { requests: [], routes: { ...DEFAULT_ROUTES } };
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const url  = new URL(req.url, 'http://stub');
+    const body = raw ? JSON.parse(raw) : undefined;
+    api.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+    const route = api.routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' }).end('{"error":"no stub route"}');
+      return;
+    }
+    const { status = 200, body: out, headers = {} } = await route(url, body);
+    const text = typeof out === 'string' ? out : JSON.stringify(out);
+    res.writeHead(status, { 'Content-Type': typeof out === 'string' ? 'text/html' : 'application/json', ...headers }).end(text);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  api.url   = `http://127.0.0.1:${server.address().port}`;
+  api.reset = () => {
+    api.requests.length = 0;
+    api.routes = { ...DEFAULT_ROUTES };
+  };
+  api.close = () => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections(); // including requests a test left hanging
+  });
+  return api;
+}
+
+// Points the server modules at the stub; call before importing them
+export function useStubApi(api) {
+  process.env.RECOMMENDATIONS_API_URL = api.url;
+  process.env.MCP_API_RETRIES         = '0';
+}
@@ -0,0 +1,182 @@
+import { after, afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubApi, useStubApi } from './helpers.mjs';
+
+const api = await startStubApi();
+useStubApi(api);
+const { closeConnection, createConnection, dispatch } = await import('../protocol.mjs');
+
+after(() => api.close());
+afterEach(() => api.reset());
+
+// An initialized in-process client: `rpc` returns the response, `sent` collects notifications
+let conn;
+let sent;
+let nextId;
+const notify = (msg) => sent.push(msg);
+const rpc = (method, params) => dispatch({ jsonrpc: '2.0', id: nextId++, method, params }, conn, notify);
+
+beforeEach(async () => {
+  sent   = [];
+  nextId = 1;
+  conn   = createConnection(notify);
+  await rpc('initialize', { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } });
+});
+afterEach(() => closeConnection(conn));
+
+describe('initialize', () => {
+  test('echoes a supported protocol version and advertises capabilities', async () => {
+    const other = createConnection(notify);
+    const response = await dispatch(
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } }, other, notify);
+    closeConnection(other);
+
+    assert.equal(response.result.protocolVersion, '2025-03-26');
+    assert.deepEqual(Object.keys(response.result.capabilities).sort(), ['logging', 'prompts', 'resources', 'tools']);
+  });
+
+  test('offers the latest version when the client asks for an unknown one', async () => {
+    const other = createConnection(notify);
+    const response = await dispatch(
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '1999-01-01' } }, other, notify);
+    closeConnection(other);
+    assert.equal(response.result.protocolVersion, '2025-06-18');
+  });
+});
+
+describe('tools/list', () => {
+  test('lists every tool with input and output schemas', async () => {
+    const { result } = await rpc('tools/list');
+    const names = result.tools.map(t => t.name);
+
+    assert.deepEqual(names, [
+      'get_recommendations', 'export_recommendations', 'plan_itinerary', 'get_providers_status',
+      'list_provider_models', 'geocode_address', 'reverse_geocode', 'get_cache_status', 'purge_cache',
+    ]);
+    for (const tool of result.tools) {
+      assert.equal(tool.inputSchema.type, 'object', tool.name);
+      assert.equal(tool.outputSchema.type, 'object', tool.name);
+    }
+  });
+
+  test('marks purge_cache as destructive', async () => {
+    const { result } = await rpc('tools/list');
+    assert.equal(result.tools.find(t => t.name === 'purge_cache').annotations.destructiveHint, true);
+  });
+});
+
+describe('tools/call', () => {
+  test('returns content and structuredContent', async () => {
+    const { result } = await rpc('tools/call', { name: 'get_cache_status', arguments: {} });
+    assert.equal(result.content.length, 1);
+    assert.equal(result.structuredContent.totalEntries, 4);
+  });
+
+  test('adds the structured JSON as text for clients older than 2025-06-18', async () => {
+    await rpc('initialize', { protocolVersion: '2025-03-26' });
+    const { result } = await rpc('tools/call', { name: 'get_cache_status', arguments: {} });
+    assert.equal(result.content.length, 2);
+    assert.equal(JSON.parse(result.content[1].text).totalEntries, 4);
+  });
+
+  test('invalid arguments are a tool error listing each field', async () => {
+    const { result } = await rpc('tools/call', { name: 'geocode_address', arguments: { query: '', limit: 50 } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /^Invalid arguments for geocode_address:/);
+    assert.deepEqual(result.structuredContent.errors.map(e => e.field), ['query', 'limit']);
+    assert.equal(api.requests.length, 0);
+  });
+
+  test('API failures are a tool error, not a JSON-RPC error', async () => {
+    api.routes['GET /api/providers/status'] = () => ({ status: 500, body: { detail: 'boom' } });
+    const response = await rpc('tools/call', { name: 'get_providers_status', arguments: {} });
+    assert.equal(response.error, undefined);
+    assert.equal(response.result.isError, true);
+    assert.equal(response.result.content[0].text, 'Error: API error 500: boom');
+  });
+
+  test('an unknown tool is invalid params', async () => {
+    const { error } = await rpc('tools/call', { name: 'nope', arguments: {} });
+    assert.equal(error.code, -32602);
+  });
+
+  test('sends progress notifications for a progress token', async () => {
+    api.routes['POST /api/recommendations/stream'] = () => ({
+      body: [
+        { type: 'progress', step: 'geocode', status: 'running' },
+        { type: 'progress', step: 'geocode', status: 'done' },
+        { type: 'progress', step: 'cache', status: 'done', message: 'Cache hit' },
+        { type: 'result', response: { latitude: 1, longitude: 2, recommendations: [] } },
+      ].map(line => JSON.stringify(line)).join('\n') + '\n',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+    });
+    const { result } = await rpc('tools/call',
+      { name: 'get_recommendations', arguments: { address: 'Paris' }, _meta: { progressToken: 'p1' } });
+
+    assert.equal(result.content[0].text, 'No recommendations found.');
+    const progress = sent.filter(m => m.method === 'notifications/progress').map(m => m.params);
+    assert.deepEqual(progress.map(p => p.progress), [0.1, 1, 2]);
+    assert.ok(progress.every(p => p.progressToken === 'p1' && p.total === 8));
+    assert.equal(progress[2].message, 'Checking cache: done — Cache hit');
+  });
+});
+
+describe('logging', () => {
+  test('logging/setLevel rejects unknown levels', async () => {
+    const { error } = await rpc('logging/setLevel', { level: 'verbose' });
+    assert.equal(error.code, -32602);
+  });
+
+  test('log messages respect the chosen level', async () => {
+    await rpc('tools/call', { name: 'get_cache_status', arguments: {} });
+    assert.equal(sent.filter(m => m.method === 'notifications/message').length, 0); // default: warning and up
+
+    await rpc('logging/setLevel', { level: 'info' });
+    await rpc('tools/call', { name: 'get_cache_status', arguments: {} });
+    const logs = sent.filter(m => m.method === 'notifications/message');
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].params.level, 'info');
+    assert.match(logs[0].params.data, /^get_cache_status finished in/);
+  });
+});
+
+describe('JSON-RPC framing', () => {
+  test('unknown methods', async () => {
+    const { error } = await rpc('does/not/exist');
+    assert.deepEqual(error, { code: -32601, message: 'Method not found: does/not/exist' });
+  });
+
+  test('invalid requests', async () => {
+    assert.equal((await dispatch({ id: 1, method: 'ping' }, conn, notify)).error.code, -32600);
+    assert.equal((await dispatch({ jsonrpc: '2.0', id: {}, method: 'ping' }, conn, notify)).error.code, -32600);
+    assert.equal((await dispatch({ jsonrpc: '2.0', id: 1, method: 'ping', params: [] }, conn, notify)).error.code, -32602);
+  });
+
+  test('notifications get no response, known or not', async () => {
+    assert.equal(await dispatch({ jsonrpc: '2.0', method: 'notifications/initialized' }, conn, notify), null);
+    assert.equal(await dispatch({ jsonrpc: '2.0', method: 'notifications/whatever' }, conn, notify), null);
+  });
+
+  test('batches answer each request and skip notifications', async () => {
+    const responses = await dispatch([
+      { jsonrpc: '2.0', id: 'a', method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 'b', method: 'nope' },
+    ], conn, notify);
+    assert.deepEqual(responses.map(r => r.id), ['a', 'b']);
+    assert.deepEqual(responses[0].result, {});
+    assert.equal(responses[1].error.code, -32601);
+  });
+
+  test('an empty batch is an invalid request', async () => {
+    assert.equal((await dispatch([], conn, notify)).error.code, -32600);
+  });
+
+  test('a cancelled request gets no response', async () => {
+    api.routes['GET /api/recommendations/cache/status'] = () => new Promise(() => {}); // never answers
+    const pending = dispatch(
+      { jsonrpc: '2.0', id: 42, method: 'tools/call', params: { name: 'get_cache_status', arguments: {} } }, conn, notify);
+    await dispatch({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 42 } }, conn, notify);
+    assert.equal(await pending, null);
+  });
+});
@@ -0,0 +1,222 @@
+import { after, afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAMPLE_RESPONSE, startStubApi, useStubApi } from './helpers.mjs';
+
+const api = await startStubApi();
+useStubApi(api);
+const { TOOLS, callTool, validateArgs } = await import('../tools.mjs');
+
+after(() => api.close());
+afterEach(() => api.reset());
+
+describe('get_recommendations', () => {
+  test('summarises ranked places and returns them as structuredContent', async () => {
+    const result = await callTool('get_recommendations', { address: 'Eiffel Tower', categories: ['Cafe'] });
+
+    assert.equal(result.isError, undefined);
+    assert.match(result.content[0].text, /^Found 2 recommendations near Eiffel Tower, Paris, France:/);
+    assert.match(result.content[0].text, /#1 Café de l'Homme — ✓ Verified · ★ 4\.3 · 1\.3 km\n/);
+
+    const { location, places, metadata } = result.structuredContent;
+    assert.deepEqual(location, { address: 'Eiffel Tower, Paris, France', latitude: 48.8584, longitude: 2.2945 });
+    assert.equal(places.length, 2);
+    assert.deepEqual(
+      { rank: places[0].rank, latitude: places[0].latitude, verified: places[0].verified },
+      { rank: 1, latitude: 48.8627, verified: true });
+    assert.equal(places[1].latitude, null);
+    assert.deepEqual(places.map(p => p.proposedBy), [[], ['Anthropic']]);
+    assert.deepEqual(metadata.providersUsed, ['OpenAI', 'Anthropic']);
+  });
+
+  test('forwards the search with defaults filled in', async () => {
+    await callTool('get_recommendations', { latitude: 48.85, longitude: 2.29 });
+
+    assert.equal(api.requests.length, 1);
+    assert.deepEqual(api.requests[0].body, {
+      address:      null,
+      latitude:     48.85,
+      longitude:    2.29,
+      categories:   [],
+      radiusMeters: 1000,
+      maxResults:   10,
+      forceRefresh: false,
+      userApiKeys:  null,
+    });
+  });
+
+  test('renders each place like the web card', async () => {
+    const full = (await callTool('get_recommendations', { address: 'Eiffel Tower' })).content[0].text;
+    assert.equal(full.split('\n\n')[1], [
+      "#1 Café de l'Homme — ✓ Verified · ★ 4.3 · 1.3 km",
+      '   17 Place du Trocadéro, Paris',
+      '   Terrace café facing the tower',
+      '   Highlights: View',
+      '   Confidence: 92% High · 3 AIs agreed',
+    ].join('\n'));
+    assert.equal(full.split('\n\n')[2], '#2 Le Petit Kiosque\n   Coffee cart in the park\n   Confidence: 55% Medium · 1 AI agreed (Anthropic)');
+
+    const compact = (await callTool('get_recommendations', { address: 'Eiffel Tower', verbosity: 'compact' })).content[0].text;
+    assert.equal(compact, [
+      'Found 2 recommendations near Eiffel Tower, Paris, France:',
+      '',
+      "#1 Café de l'Homme — ✓ Verified · ★ 4.3 · 1.3 km · 92% High · 3 AIs agreed",
+      '#2 Le Petit Kiosque — 55% Medium · 1 AI agreed',
+    ].join('\n'));
+  });
+
+  test('returns the structured result as text with verbosity "raw"', async () => {
+    const result = await callTool('get_recommendations', { address: 'Eiffel Tower', verbosity: 'raw' });
+    assert.deepEqual(JSON.parse(result.content[0].text), result.structuredContent);
+  });
+
+  test('says so when nothing was found', async () => {
+    api.routes['POST /api/recommendations'] = () => ({ body: { ...SAMPLE_RESPONSE, recommendations: [] } });
+    const result = await callTool('get_recommendations', { address: 'Paris' });
+    assert.equal(result.content[0].text, 'No recommendations found.');
+    assert.deepEqual(result.structuredContent.places, []);
+  });
+
+  test('turns ProblemDetails into an error that names the status and a next step', async () => {
+    api.routes['POST /api/recommendations'] = () => ({
+      status: 503,
+      body:   { title: 'Service Unavailable', detail: 'All AI providers failed.' },
+    });
+    await assert.rejects(
+      callTool('get_recommendations', { address: 'Paris' }),
+      { name: 'Error', status: 503, message: /^API error 503: All AI providers failed\. — .*get_providers_status/ });
+  });
+
+  test('reports validation errors from the API', async () => {
+    api.routes['POST /api/recommendations'] = () => ({ status: 400, body: { errors: ['RadiusMeters must be between 500 and 5000.'] } });
+    await assert.rejects(
+      callTool('get_recommendations', { address: 'Paris' }),
+      { status: 400, message: 'API error 400: RadiusMeters must be between 500 and 5000.' });
+  });
+
+  test('rejects a 2xx response that is not JSON', async () => {
+    api.routes['POST /api/recommendations'] = () => ({ body: '<html>proxy login</html>' });
+    await assert.rejects(callTool('get_recommendations', { address: 'Paris' }), /Expected JSON from .* but got text\/html/);
+  });
+});
+
+describe('export_recommendations', () => {
+  test('builds GeoJSON from places that have coordinates', async () => {
+    const result = await callTool('export_recommendations', { format: 'geojson', address: 'Paris' });
+    const geojson = JSON.parse(result.structuredContent.content);
+
+    assert.equal(result.structuredContent.mimeType, 'application/geo+json');
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.deepEqual(geojson.features.map(f => f.geometry.coordinates), [[2.2875, 48.8627]]);
+  });
+
+  test('writes a CSV header and one CRLF-terminated row per place', async () => {
+    const result = await callTool('export_recommendations', { format: 'csv', address: 'Paris' });
+    const lines = result.content[0].text.split('\r\n');
+    assert.equal(lines.length, 4); // header, 2 rows, trailing empty
+    assert.match(lines[0], /^rank,name,address,latitude,longitude,/);
+    assert.match(lines[1], /^1,Café de l'Homme,"17 Place du Trocadéro, Paris",48\.8627,2\.2875,Cafe,/);
+  });
+
+  test('keeps AI-written CSV cells from running as spreadsheet formulas', async () => {
+    api.routes['POST /api/recommendations'] = () => ({ body: { ...SAMPLE_RESPONSE, recommendations: [{
+      name: '=HYPERLINK("http://evil.example")', description: '', category: 'Cafe', latitude: -33.9, longitude: -70.6,
+      confidenceScore: 0.5, confidenceLevel: 'Medium', agreementCount: 1, highlights: ['@SUM(A1)', 'Quiet'], whyRecommended: '-cheap',
+    }] } });
+    const row = (await callTool('export_recommendations', { format: 'csv', address: 'Santiago' })).content[0].text.split('\r\n')[1];
+    assert.equal(row, `1,"'=HYPERLINK(""http://evil.example"")",,-33.9,-70.6,Cafe,0.5,Medium,1,,'@SUM(A1); Quiet,'-cheap`);
+  });
+});
+
+describe('other tools', () => {
+  test('get_providers_status lists providers with their availability', async () => {
+    const result = await callTool('get_providers_status', {});
+    assert.equal(result.content[0].text,
+      'AI Providers:\n✓ OpenAI\n✗ Gemini\n\nPlaces:\n✗ Google Places (using OSM/Overpass fallback)');
+    assert.equal(result.structuredContent.googlePlacesConfigured, false);
+  });
+
+  test('geocode_address numbers its suggestions and passes the limit on', async () => {
+    const result = await callTool('geocode_address', { query: 'eiffel', limit: 3 });
+    assert.equal(result.content[0].text, '1. Eiffel Tower, Paris, France  (48.8584, 2.2945)');
+    assert.deepEqual(api.requests[0].query, { q: 'eiffel', limit: '3' });
+  });
+
+  test('geocode_address with no match', async () => {
+    const result = await callTool('geocode_address', { query: 'nowhere' });
+    assert.equal(result.content[0].text, 'No results found.');
+    assert.deepEqual(result.structuredContent, { results: [] });
+  });
+
+  test('get_cache_status', async () => {
+    const result = await callTool('get_cache_status', {});
+    assert.match(result.content[0].text, /^Cache: 4 entries \(1 expired\)/);
+  });
+
+  test('purge_cache reports what the purge removed', async () => {
+    let total = 4;
+    api.routes['GET /api/recommendations/cache/status'] = () => ({ body: { totalEntries: total, expiredEntries: 1 } });
+    api.routes['DELETE /api/recommendations/cache'] = () => {
+      total = 3;
+      return { body: { message: 'Expired cache entries purged.' } };
+    };
+
+    const result = await callTool('purge_cache', {});
+    assert.deepEqual(result.structuredContent, { purgedEntries: 1, remainingEntries: 3 });
+    assert.equal(result.content[0].text, 'Purged 1 expired cache entry; 3 remain.');
+  });
+
+  test('list_provider_models never quotes a per-call key in its errors', async () => {
+    const apiKey = 'sk-per-call-secret-123';
+    api.routes['GET /api/providers/models'] = () => ({ body: '<html>proxy login</html>' });
+    await assert.rejects(callTool('list_provider_models', { provider: 'OpenAI', apiKey }), (err) => {
+      assert.match(err.message, /^Expected JSON from .*apiKey=\*\*\*/);
+      assert.ok(!err.message.includes(apiKey));
+      return true;
+    });
+
+    api.routes['GET /api/providers/models'] = () => ({ status: 400, body: { error: `Key ${apiKey} was rejected` } });
+    await assert.rejects(callTool('list_provider_models', { provider: 'OpenAI', apiKey }),
+      (err) => !err.message.includes(apiKey));
+  });
+
+  test('unknown tools are an error result', async () => {
+    const result = await callTool('nope', {});
+    assert.equal(result.isError, true);
+    assert.equal(result.content[0].text, 'Unknown tool: nope');
+  });
+});
+
+describe('argument validation', () => {
+  const schemaOf = (name) => TOOLS.find(t => t.name === name).inputSchema;
+
+  test('needs an address or both coordinates', () => {
+    const errors = validateArgs(schemaOf('get_recommendations'), { latitude: 48.85 });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /address.*latitude.*longitude/);
+  });
+
+  test('checks ranges, enums and array items with their field paths', () => {
+    const errors = validateArgs(schemaOf('get_recommendations'),
+      { address: 'Paris', radiusMeters: 100, categories: ['Cafe', 'Zoo'] });
+    assert.deepEqual(errors.map(e => e.field), ['categories[1]', 'radiusMeters']);
+  });
+
+  test('accepts a valid search', () => {
+    assert.deepEqual(validateArgs(schemaOf('get_recommendations'), { address: 'Paris', maxResults: 5 }), []);
+  });
+
+  test('reports misspelt providers in models by field', () => {
+    const errors = validateArgs(schemaOf('get_recommendations'),
+      { address: 'Paris', models: { OpenAI: 'gpt-4o-mini', openai: 'gpt-4o', OpenAi: 'gpt-4o' } });
+    assert.deepEqual(errors.map(e => e.field), ['models.openai', 'models.OpenAi']);
+    assert.match(errors[0].message, /^is not a known property \(expected one of OpenRouter, OpenAI, /);
+  });
+
+  test('names time patterns readably without adding keywords to the published schema', () => {
+    const schema = schemaOf('plan_itinerary');
+    assert.equal('patternHint' in schema.properties.startTime, false);
+
+    const errors = validateArgs(schema, { address: 'Paris', stops: ['Cafe'], startTime: '25:00' });
+    assert.deepEqual(errors, [{ field: 'startTime', message: 'must match HH:MM (got "25:00")' }]);
+  });
+});
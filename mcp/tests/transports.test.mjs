@@ -0,0 +1,138 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { startStubApi, useStubApi } from './helpers.mjs';
+
+const api = await startStubApi();
+useStubApi(api);
+const { startHttp, startStdio } = await import('../transports.mjs');
+
+after(() => api.close());
+
+const INIT = { jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } };
+
+// A stdio server on in-memory streams; next() resolves with the next message it writes
+function stdioClient() {
+  const input  = new PassThrough();
+  const output = new PassThrough();
+  startStdio({ input, output });
+
+  const received = [];
+  const waiting  = [];
+  let buf = '';
+  output.setEncoding('utf8');
+  output.on('data', (chunk) => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const msg = JSON.parse(buf.slice(0, nl));
+      buf = buf.slice(nl + 1);
+      if (waiting.length) waiting.shift()(msg);
+      else received.push(msg);
+    }
+  });
+
+  return {
+    write: (text) => input.write(text),
+    next:  () => (received.length ? Promise.resolve(received.shift()) : new Promise(resolve => waiting.push(resolve))),
+    close: () => input.end(),
+  };
+}
+
+describe('stdio transport', () => {
+  test('answers one message per line', async () => {
+    const client = stdioClient();
+    client.write(JSON.stringify(INIT) + '\n');
+    assert.equal((await client.next()).result.protocolVersion, '2025-06-18');
+    client.close();
+  });
+
+  test('reassembles a message split across chunks', async () => {
+    const client = stdioClient();
+    client.write('{"jsonrpc":"2.0","id":1,');
+    client.write('"method":"pi');
+    client.write('ng"}\n');
+    assert.deepEqual(await client.next(), { jsonrpc: '2.0', id: 1, result: {} });
+    client.close();
+  });
+
+  test('handles several messages in one chunk, skipping blank lines', async () => {
+    const client = stdioClient();
+    client.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n\n  \r\n{"jsonrpc":"2.0","id":2,"method":"ping"}\n');
+    const ids = [(await client.next()).id, (await client.next()).id].sort();
+    assert.deepEqual(ids, [1, 2]);
+    client.close();
+  });
+
+  test('reports a parse error and keeps going', async () => {
+    const client = stdioClient();
+    client.write('{not json}\n{"jsonrpc":"2.0","id":3,"method":"ping"}\n');
+    assert.deepEqual(await client.next(), { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    assert.equal((await client.next()).id, 3);
+    client.close();
+  });
+
+  test('answers a final message that has no trailing newline', async () => {
+    const client = stdioClient();
+    client.write('{"jsonrpc":"2.0","id":6,"method":"ping"}');
+    client.close();
+    assert.deepEqual(await client.next(), { jsonrpc: '2.0', id: 6, result: {} });
+  });
+
+  test('writes nothing for notifications', async () => {
+    const client = stdioClient();
+    client.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n{"jsonrpc":"2.0","id":4,"method":"ping"}\n');
+    assert.equal((await client.next()).id, 4);
+    client.close();
+  });
+});
+
+describe('HTTP transport', async () => {
+  const server = await startHttp({ port: 0, authToken: 'secret-token' });
+  const url = `http://127.0.0.1:${server.address().port}/mcp`;
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const post = (body, headers = {}) => fetch(url, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret-token', ...headers },
+    body:    typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  test('initialize starts a session that later requests must name', async () => {
+    const init = await post(INIT);
+    const sessionId = init.headers.get('mcp-session-id');
+    assert.equal(init.status, 200);
+    assert.ok(sessionId);
+
+    const ping = await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+    assert.deepEqual(await ping.json(), { jsonrpc: '2.0', id: 1, result: {} });
+
+    const missing = await post({ jsonrpc: '2.0', id: 2, method: 'ping' });
+    assert.equal(missing.status, 400);
+    const unknown = await post({ jsonrpc: '2.0', id: 3, method: 'ping' }, { 'Mcp-Session-Id': 'nope' });
+    assert.equal(unknown.status, 404);
+  });
+
+  test('notifications are acknowledged with 202', async () => {
+    const sessionId = (await post(INIT)).headers.get('mcp-session-id');
+    const res = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+    assert.equal(res.status, 202);
+  });
+
+  test('streams the response as SSE when the client accepts it', async () => {
+    const sessionId = (await post(INIT)).headers.get('mcp-session-id');
+    const res = await post({ jsonrpc: '2.0', id: 5, method: 'ping' },
+      { 'Mcp-Session-Id': sessionId, Accept: 'application/json, text/event-stream' });
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    assert.equal(await res.text(), 'event: message\ndata: {"jsonrpc":"2.0","id":5,"result":{}}\n\n');
+  });
+
+  test('rejects bad bearer tokens, foreign origins and malformed bodies', async () => {
+    assert.equal((await post(INIT, { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await post(INIT, { Origin: 'https://evil.example' })).status, 403);
+
+    const bad = await post('{"jsonrpc":');
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).error.code, -32700);
+  });
+});
@@ -0,0 +1,1431 @@
+/**
+ * Tools for the Place Recommendations MCP server: definitions and argument
+ * validation, the client for the .NET Recommendations API, and the handlers
+ * behind tools/call. Nothing here knows about JSON-RPC — see protocol.mjs.
+ */
+
+import { readFileSync } from 'node:fs';
+
+export const API_BASE       = (process.env.RECOMMENDATIONS_API_URL ?? 'http://localhost:5145').replace(/\/$/, '');
+export const API_TIMEOUT_MS = Number(process.env.MCP_TIMEOUT_MS) > 0 ? Number(process.env.MCP_TIMEOUT_MS) : 30_000;
+const API_RETRIES           = Math.max(0, Number.parseInt(process.env.MCP_API_RETRIES ?? '2', 10) || 0);
+
+// ─── Tool definitions ────────────────────────────────────────────────────────
+
+// PlaceCategory enum values in the API
+export const PLACE_CATEGORIES = [
+  'All', 'Restaurant', 'Cafe', 'TouristAttraction',
+  'Museum', 'Park', 'Bar', 'Hotel', 'Shopping', 'Entertainment',
+];
+
+// Providers GET /api/providers/models knows; also the keys of the per-call `models` argument
+const MODEL_PROVIDERS = ['OpenRouter', 'OpenAI', 'Anthropic', 'Gemini', 'AzureOpenAI'];
+
+// Text summary levels for get_recommendations — see formatRecommendations
+const VERBOSITY_LEVELS = ['compact', 'full', 'raw'];
+
+// 24-hour HH:MM, for plan_itinerary's time window
+const TIME_OF_DAY_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+// Search inputs shared by get_recommendations and export_recommendations
+const SEARCH_PROPERTIES = {
+  address: {
+    type: 'string',
+    description: 'Address or place name to search near (e.g. "Eiffel Tower, Paris")',
+    minLength: 1,
+  },
+  latitude: { type: 'number', description: 'Latitude (required if no address)', minimum: -90, maximum: 90 },
+  longitude: { type: 'number', description: 'Longitude (required if no address)', minimum: -180, maximum: 180 },
+  categories: {
+    type: 'array',
+    items: {
+      type: 'string',
+      enum: PLACE_CATEGORIES,
+    },
+    description: 'Place categories to search for (default: ["All"])',
+  },
+  radiusMeters: {
+    type: 'integer',
+    description: 'Search radius in metres, 500–5000 (default: 1000)',
+    minimum: 500,
+    maximum: 5000,
+  },
+  maxResults: {
+    type: 'integer',
+    description: 'Maximum results to return, 5–20 (default: 10)',
+    minimum: 5,
+    maximum: 20,
+  },
+  forceRefresh: {
+    type: 'boolean',
+    description: 'Bypass the 24-hour cache (default: false)',
+  },
+  models: {
+    type: 'object',
+    description:
+      'Per-call model overrides by provider, e.g. { "OpenAI": "gpt-4o-mini", "Anthropic": "claude-3-5-haiku-latest" }. ' +
+      'Uses the keys configured for this MCP server, or the API server\'s own.',
+    properties: {
+      OpenRouter:  { type: 'string', minLength: 1 },
+      OpenAI:      { type: 'string', minLength: 1 },
+      Anthropic:   { type: 'string', minLength: 1 },
+      Gemini:      { type: 'string', minLength: 1 },
+      AzureOpenAI: { type: 'string', minLength: 1, description: 'Deployment name' },
+    },
+    // A misspelt provider would otherwise be dropped and the search run on the default model
+    additionalProperties: false,
+  },
+};
+
+// The API needs somewhere to search: an address, or both coordinates
+const SEARCH_LOCATION_RULE = [{ required: ['address'] }, { required: ['latitude', 'longitude'] }];
+
+// ─── Output schemas ──────────────────────────────────────────────────────────
+// Shapes of each tool's structuredContent; the text content stays a human summary.
+
+const PLACE_SCHEMA = {
+  type: 'object',
+  required: ['rank', 'name', 'category', 'confidenceScore', 'confidenceLevel', 'agreementCount', 'verified'],
+  properties: {
+    rank:             { type: 'integer', description: '1 = best' },
+    name:             { type: 'string' },
+    description:      { type: 'string' },
+    category:         { type: 'string' },
+    address:          { type: ['string', 'null'] },
+    latitude:         { type: ['number', 'null'] },
+    longitude:        { type: ['number', 'null'] },
+    rating:           { type: ['number', 'null'], description: 'Google rating, 1–5' },
+    userRatingsTotal: { type: ['integer', 'null'] },
+    distanceMeters:   { type: ['number', 'null'], description: 'Distance from the search center' },
+    confidenceScore:  { type: 'number', description: '0–1 consensus score' },
+    confidenceLevel:  { type: 'string', enum: ['Low', 'Medium', 'High', 'VeryHigh'] },
+    agreementCount:   { type: 'integer', description: 'How many AI providers proposed this place' },
+    proposedBy:       { type: 'array', items: { type: 'string' }, description: 'Which providers proposed it (empty for results cached before this was recorded)' },
+    verified:         { type: 'boolean', description: 'Matched to a real place by Google Places / OSM' },
+    highlights:       { type: 'array', items: { type: 'string' } },
+    whyRecommended:   { type: ['string', 'null'] },
+    website:          { type: ['string', 'null'] },
+    phoneNumber:      { type: ['string', 'null'] },
+  },
+};
+
+const RECOMMENDATIONS_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['location', 'places', 'fromCache'],
+  properties: {
+    location: {
+      type: 'object',
+      properties: {
+        address:   { type: ['string', 'null'] },
+        latitude:  { type: 'number' },
+        longitude: { type: 'number' },
+        resolvedAddress: {
+          type: ['string', 'null'],
+          description: 'Reverse-geocoded address of the search centre (only with resolveAddress: true; null if none was found)',
+        },
+      },
+    },
+    radiusMeters: { type: ['integer', 'null'] },
+    fromCache:    { type: 'boolean' },
+    generatedAt:  { type: ['string', 'null'], description: 'ISO 8601 timestamp' },
+    places:       { type: 'array', items: PLACE_SCHEMA },
+    metadata: {
+      type: 'object',
+      properties: {
+        providersUsed:            { type: 'array', items: { type: 'string' } },
+        providersFailed:          { type: 'array', items: { type: 'string' } },
+        synthesizedBy:            { type: ['string', 'null'] },
+        googlePlacesEnriched:     { type: 'boolean' },
+        totalCandidatesEvaluated: { type: 'integer' },
+        totalElapsed:             { type: ['string', 'null'] },
+      },
+    },
+  },
+};
+
+export const TOOLS = [
+  {
+    name: 'get_recommendations',
+    description:
+      'Get AI-consensus place recommendations near a location. ' +
+      'Pass either an address OR latitude+longitude. ' +
+      'Returns ranked places with names, descriptions, ratings, distances and confidence scores.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SEARCH_PROPERTIES,
+        resolveAddress: {
+          type: 'boolean',
+          description:
+            'Also look up a readable address for the search centre and return it as location.resolvedAddress ' +
+            '— useful for "near me" searches by coordinates (default: false)',
+        },
+        verbosity: {
+          type: 'string',
+          enum: VERBOSITY_LEVELS,
+          description:
+            'How much of each place to put in the text summary: "compact" (one line each), "full" (everything the ' +
+            'web card shows: highlights, why it is recommended, address) or "raw" (the structured result as JSON). ' +
+            'Default: full',
+        },
+      },
+      anyOf: SEARCH_LOCATION_RULE,
+    },
+    outputSchema: RECOMMENDATIONS_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'export_recommendations',
+    description:
+      'Run the same search as get_recommendations and return the results serialised as ' +
+      'GeoJSON (FeatureCollection), CSV, KML or GPX text, ready to paste into GIS tools or trip planners.',
+    inputSchema: {
+      type: 'object',
+      required: ['format'],
+      properties: {
+        format: {
+          type: 'string',
+          enum: ['geojson', 'csv', 'kml', 'gpx'],
+          description: 'Output format',
+        },
+        ...SEARCH_PROPERTIES,
+      },
+      anyOf: SEARCH_LOCATION_RULE,
+    },
+    outputSchema: {
+      type: 'object',
+      required: ['format', 'mimeType', 'content'],
+      properties: {
+        format:     { type: 'string', enum: ['geojson', 'csv', 'kml', 'gpx'] },
+        mimeType:   { type: 'string' },
+        placeCount: { type: 'integer' },
+        content:    { type: 'string', description: 'The exported document' },
+      },
+    },
+  },
+  {
+    name: 'plan_itinerary',
+    description:
+      'Build a walking itinerary: from a start address (or latitude+longitude), find one place per ' +
+      'activity in the given order, each searched around the previous stop, without repeating places. ' +
+      'Returns the ordered route with walking distances, arrival/departure times and total duration.',
+    inputSchema: {
+      type: 'object',
+      required: ['stops'],
+      properties: {
+        address:   { ...SEARCH_PROPERTIES.address, description: 'Where the itinerary starts (e.g. "Eiffel Tower, Paris")' },
+        latitude:  { ...SEARCH_PROPERTIES.latitude, description: 'Start latitude (required if no address)' },
+        longitude: { ...SEARCH_PROPERTIES.longitude, description: 'Start longitude (required if no address)' },
+        stops: {
+          type: 'array',
+          items: { type: 'string', enum: PLACE_CATEGORIES.filter(c => c !== 'All') },
+          minItems: 1,
+          maxItems: 8,
+          description: 'Activity categories in visiting order, e.g. ["Cafe", "Museum", "Park", "Restaurant"]',
+        },
+        startTime: {
+          type: 'string',
+          pattern: TIME_OF_DAY_PATTERN,
+          description: 'Start of the time window, 24-hour HH:MM (default: "13:00")',
+        },
+        endTime: {
+          type: 'string',
+          pattern: TIME_OF_DAY_PATTERN,
+          description: 'End of the time window, 24-hour HH:MM (default: "19:00"); stops that would finish later are dropped',
+        },
+        legRadiusMeters: {
+          type: 'integer',
+          description: 'How far from the previous stop to look for the next one, 500–5000 (default: 1000)',
+          minimum: 500,
+          maximum: 5000,
+        },
+        models: SEARCH_PROPERTIES.models,
+      },
+      anyOf: SEARCH_LOCATION_RULE,
+    },
+    outputSchema: {
+      type: 'object',
+      required: ['start', 'stops', 'skipped', 'totalWalkingMeters', 'totalDurationMinutes'],
+      properties: {
+        start: {
+          type: 'object',
+          properties: {
+            address:   { type: ['string', 'null'] },
+            latitude:  { type: 'number' },
+            longitude: { type: 'number' },
+          },
+        },
+        startTime: { type: 'string' },
+        endTime:   { type: 'string' },
+        stops: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['order', 'category', 'name', 'latitude', 'longitude', 'walkMeters', 'arriveAt', 'leaveAt'],
+            properties: {
+              order:           { type: 'integer' },
+              category:        { type: 'string' },
+              name:            { type: 'string' },
+              address:         { type: ['string', 'null'] },
+              latitude:        { type: 'number' },
+              longitude:       { type: 'number' },
+              rating:          { type: ['number', 'null'] },
+              confidenceLevel: { type: 'string' },
+              verified:        { type: 'boolean' },
+              walkMeters:      { type: 'integer', description: 'Straight-line distance from the previous stop' },
+              walkMinutes:     { type: 'integer' },
+              visitMinutes:    { type: 'integer' },
+              arriveAt:        { type: 'string', description: 'HH:MM' },
+              leaveAt:         { type: 'string', description: 'HH:MM' },
+            },
+          },
+        },
+        skipped: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { category: { type: 'string' }, reason: { type: 'string' } },
+          },
+        },
+        totalWalkingMeters:   { type: 'integer' },
+        totalWalkingMinutes:  { type: 'integer' },
+        totalDurationMinutes: { type: 'integer' },
+        endsAt:               { type: 'string', description: 'HH:MM' },
+      },
+    },
+  },
+  {
+    name: 'get_providers_status',
+    description:
+      'Check which AI providers (OpenAI, Claude, Gemini, Azure OpenAI, OpenRouter) ' +
+      'and the Google Places API are currently available on the server.',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      required: ['providers', 'googlePlacesConfigured'],
+      properties: {
+        providers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'available'],
+            properties: {
+              name:      { type: 'string' },
+              model:     { type: ['string', 'null'] },
+              available: { type: 'boolean' },
+            },
+          },
+        },
+        googlePlacesConfigured: { type: 'boolean' },
+      },
+    },
+  },
+  {
+    name: 'list_provider_models',
+    description:
+      'List the models an AI provider offers, optionally narrowed by a substring (matched against id and name). ' +
+      'Uses the configured provider key unless apiKey is given; OpenRouter works without a key. ' +
+      'Pass a returned id in the `models` argument of get_recommendations to use it.',
+    inputSchema: {
+      type: 'object',
+      required: ['provider'],
+      properties: {
+        provider: { type: 'string', enum: MODEL_PROVIDERS, description: 'Provider to list models for' },
+        apiKey:   { type: 'string', description: 'Provider API key (default: the key from MCP_USER_API_KEYS_FILE / env)' },
+        endpoint: { type: 'string', description: 'Azure OpenAI resource endpoint (AzureOpenAI only; default: configured endpoint)' },
+        filter:   { type: 'string', description: 'Case-insensitive substring to match, e.g. "mini" or "claude-3-5"' },
+      },
+    },
+    outputSchema: {
+      type: 'object',
+      required: ['provider', 'models', 'total'],
+      properties: {
+        provider: { type: 'string' },
+        models: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id:   { type: 'string' },
+              name: { type: 'string' },
+            },
+          },
+        },
+        total:   { type: 'integer', description: 'Models returned by the provider before filtering' },
+        warning: { type: ['string', 'null'], description: 'Why the list is empty or partial (missing key, unreachable provider)' },
+      },
+    },
+  },
+  {
+    name: 'geocode_address',
+    description:
+      'Search for address suggestions and get their coordinates. ' +
+      'Returns up to `limit` results with display name, latitude and longitude.',
+    inputSchema: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string', description: 'Address or place name to search for', minLength: 1 },
+        limit: {
+          type: 'integer',
+          description: 'Max suggestions to return, 1–10 (default: 5)',
+          minimum: 1,
+          maximum: 10,
+        },
+      },
+    },
+    outputSchema: {
+      type: 'object',
+      required: ['results'],
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['displayName', 'latitude', 'longitude'],
+            properties: {
+              displayName: { type: 'string' },
+              latitude:    { type: 'number' },
+              longitude:   { type: 'number' },
+            },
+          },
+        },
+      },
+    },
+  },
+  {
+    name: 'reverse_geocode',
+    description:
+      'Turn a latitude/longitude into a readable address (name, street, city, state, country), ' +
+      'using the same lookup the API applies to coordinate searches.',
+    inputSchema: {
+      type: 'object',
+      required: ['latitude', 'longitude'],
+      properties: {
+        latitude:  { ...SEARCH_PROPERTIES.latitude, description: 'Latitude' },
+        longitude: { ...SEARCH_PROPERTIES.longitude, description: 'Longitude' },
+      },
+    },
+    outputSchema: {
+      type: 'object',
+      required: ['found', 'latitude', 'longitude'],
+      properties: {
+        found:       { type: 'boolean' },
+        displayName: { type: ['string', 'null'] },
+        latitude:    { type: 'number' },
+        longitude:   { type: 'number' },
+      },
+    },
+  },
+  {
+    name: 'get_cache_status',
+    description: 'Get SQLite recommendation cache statistics (total and expired entries, oldest and newest entry).',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      required: ['totalEntries', 'expiredEntries'],
+      properties: {
+        totalEntries:   { type: 'integer' },
+        expiredEntries: { type: 'integer' },
+        oldestEntry:    { type: ['string', 'null'], description: 'ISO 8601 timestamp' },
+        newestEntry:    { type: ['string', 'null'], description: 'ISO 8601 timestamp' },
+      },
+    },
+  },
+  {
+    name: 'purge_cache',
+    description:
+      'Delete expired entries from the SQLite recommendation cache. Unexpired entries are kept. ' +
+      'Returns how many entries were removed and how many remain.',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      required: ['purgedEntries', 'remainingEntries'],
+      properties: {
+        purgedEntries:    { type: 'integer' },
+        remainingEntries: { type: 'integer' },
+      },
+    },
+    annotations: {
+      title:           'Purge expired cache entries',
+      readOnlyHint:    false,
+      destructiveHint: true,
+      idempotentHint:  true,
+      openWorldHint:   false,
+    },
+  },
+];
+
+// ─── Argument validation ─────────────────────────────────────────────────────
+// Covers the JSON Schema subset TOOLS uses: type, enum, minimum/maximum, minLength,
+// pattern, minItems/maxItems, required, items, additionalProperties: false and an anyOf
+// of `required` alternatives. A null property counts as "not given", since many clients
+// send null for unused optional arguments.
+
+// Readable names for patterns in error messages; kept out of TOOLS, since extra keywords in
+// a published inputSchema can make strict clients reject it
+const PATTERN_HINTS = {
+  [TIME_OF_DAY_PATTERN]: 'HH:MM',
+};
+
+export function validateArgs(schema, value, path = '') {
+  const errors = [];
+  const fail = (message, field = path || '(arguments)') => errors.push({ field, message });
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${describeValue(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) fail(`must be ≥ ${schema.minimum} (got ${value})`);
+  if (schema.maximum !== undefined && value > schema.maximum) fail(`must be ≤ ${schema.maximum} (got ${value})`);
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    fail(`must match ${PATTERN_HINTS[schema.pattern] ?? schema.pattern} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateArgs(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    const given = (key) => value[key] !== undefined && value[key] !== null;
+    const field = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required ?? []) {
+      if (!given(key)) fail('is required', field(key));
+    }
+    for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      if (given(key)) errors.push(...validateArgs(sub, value[key], field(key)));
+    }
+    if (schema.additionalProperties === false) {
+      const known = Object.keys(schema.properties ?? {});
+      for (const key of Object.keys(value).filter(k => !known.includes(k))) {
+        fail(`is not a known property (expected one of ${known.join(', ')})`, field(key));
+      }
+    }
+    if (schema.anyOf && !schema.anyOf.some(alt => alt.required.every(given))) {
+      const fields = [...new Set(schema.anyOf.flatMap(alt => alt.required))].map(field);
+      fail(`provide either ${schema.anyOf.map(alt => alt.required.join(' + ')).join(' or ')}`, fields.join(', '));
+    }
+  }
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':  return typeof value === 'string';
+    case 'number':  return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array':   return Array.isArray(value);
+    case 'object':  return isPlainObject(value);
+    default:        return true;
+  }
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'number' && !Number.isInteger(value)) return `${value}`;
+  return typeof value === 'string' ? JSON.stringify(value) : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+export function invalidArgumentsResult(toolName, errors) {
+  const lines = errors.map(e => `- ${e.field}: ${e.message}`);
+  return {
+    isError: true,
+    content: [{ type: 'text', text: `Invalid arguments for ${toolName}:\n${lines.join('\n')}` }],
+    structuredContent: { errors },
+  };
+}
+
+// ─── API client ──────────────────────────────────────────────────────────────
+// Every call to the .NET API goes through apiRequest: retries with backoff on
+// connection errors and 502/503/504, bodies decoded by Content-Type, and errors
+// that say what went wrong and what to do about it.
+
+const RETRY_STATUSES = new Set([502, 503, 504]);
+
+// Tool calls get one overall deadline covering all their API requests and retries
+const DEFAULT_TOOL_TIMEOUTS_MS = {
+  get_recommendations:    180_000, // full multi-provider AI pipeline
+  export_recommendations: 180_000,
+  plan_itinerary:         600_000, // one pipeline run per stop
+  geocode_address:        15_000,
+  reverse_geocode:        15_000,
+  get_providers_status:   10_000,
+  list_provider_models:   30_000, // the API calls out to the provider
+  get_cache_status:       10_000,
+  purge_cache:            30_000,
+};
+
+// status is null when no HTTP response arrived (unreachable API, timeout)
+export class ApiError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function toolTimeoutMs(toolName) {
+  const configured = Number(process.env[`MCP_TIMEOUT_${toolName.toUpperCase()}_MS`]);
+  return configured > 0 ? configured : (DEFAULT_TOOL_TIMEOUTS_MS[toolName] ?? API_TIMEOUT_MS);
+}
+
+// A child signal that aborts with an ApiError after `ms`, or when `parent` aborts
+export function withTimeout(parent, ms, envVar = 'MCP_TIMEOUT_MS') {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new ApiError(
+    `Timed out after ${(ms / 1000).toFixed(1)} s waiting for the Recommendations API at ${API_BASE} ` +
+    `(set ${envVar} to allow longer)`)), ms);
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent.aborted) onAbort();
+  else parent.addEventListener('abort', onAbort, { once: true });
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      parent.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+// list_provider_models sends a per-call key in the query string; never quote it back
+const redactPath = (path) => path.replace(/([?&]apiKey=)[^&]*/gi, '$1***');
+
+// allowStatus: non-2xx statuses the caller handles itself instead of getting an ApiError
+export async function apiRequest(path, { method = 'GET', body, signal, allowStatus = [], retries = API_RETRIES } = {}) {
+  const res  = await fetchWithRetry(path, { method, body, signal, retries });
+  const data = await decodeBody(res);
+  if (!res.ok && !allowStatus.includes(res.status)) {
+    throw new ApiError(describeApiError(res.status, data), res.status);
+  }
+  if (res.ok && typeof data === 'string') {
+    throw new ApiError(
+      `Expected JSON from ${API_BASE}${redactPath(path)} but got ${res.headers.get('content-type') ?? 'no content type'} — ` +
+      'is RECOMMENDATIONS_API_URL pointing at the Recommendations API?', res.status);
+  }
+  return { status: res.status, data };
+}
+
+// POST to an NDJSON endpoint (/api/recommendations/stream): every {"type":"progress"} line
+// goes to onProgress, and the final "result" line's response is returned
+async function apiStream(path, { body, signal, onProgress, retries = API_RETRIES }) {
+  const res = await fetchWithRetry(path, { method: 'POST', body, signal, retries });
+  if (!res.ok) throw new ApiError(describeApiError(res.status, await decodeBody(res)), res.status);
+
+  const decoder = new TextDecoder();
+  let buf = '';
+  try {
+    for await (const chunk of res.body) {
+      buf += decoder.decode(chunk, { stream: true });
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (!line) continue;
+        let msg;
+        try {
+          msg = JSON.parse(line);
+        } catch {
+          throw new ApiError(`Expected NDJSON from ${API_BASE}${path} but got: ${line.slice(0, 100)}`, res.status);
+        }
+        if (msg.type === 'progress') onProgress?.(msg);
+        else if (msg.type === 'result') return msg.response;
+        else if (msg.type === 'error') throw new ApiError(describeApiError(msg.status, msg), msg.status);
+      }
+    }
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason ?? err;
+    throw err;
+  }
+  throw new ApiError(`The API closed ${path} without sending a result`, res.status);
+}
+
+// Connection errors and 502/503/504 are retried; any other response is returned as is
+async function fetchWithRetry(path, { method, body, signal, retries }) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+        body:    body === undefined ? undefined : JSON.stringify(body),
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason ?? err;
+      if (attempt < retries) {
+        await sleep(backoffMs(attempt), signal);
+        continue;
+      }
+      throw new ApiError(
+        `Cannot reach the Recommendations API at ${API_BASE} (${err.cause?.code ?? err.message}). ` +
+        'Start it with `dotnet run` in src/Recommendations.Api, or set RECOMMENDATIONS_API_URL to where it is running.');
+    }
+
+    if (RETRY_STATUSES.has(res.status) && attempt < retries) {
+      await res.body?.cancel();
+      await sleep(retryAfterMs(res) ?? backoffMs(attempt), signal);
+      continue;
+    }
+    return res;
+  }
+}
+
+// JSON when the server says so (and it parses), otherwise text; null for an empty body
+async function decodeBody(res) {
+  const text = await res.text();
+  if (!text) return null;
+  if ((res.headers.get('content-type') ?? '').includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      // fall through: report the raw text
+    }
+  }
+  return text;
+}
+
+function describeApiError(status, data) {
+  let detail;
+  if (typeof data === 'string') {
+    // e.g. a reverse proxy's HTML error page
+    detail = data.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+  } else if (isPlainObject(data)) {
+    const errors = Array.isArray(data.errors) ? data.errors
+      : isPlainObject(data.errors) ? Object.values(data.errors).flat()
+      : null;
+    detail = data.detail ?? errors?.join('; ') ?? data.title ?? data.error ?? data.message ?? JSON.stringify(data);
+  }
+
+  const hint = {
+    502: ' — a proxy in front of the API could not reach it',
+    503: ' — no AI provider is available; check API keys with get_providers_status',
+    504: ' — the API (or a proxy in front of it) timed out; for searches, try fewer categories or a smaller radius',
+  }[status] ?? '';
+  return `API error ${status}${detail ? `: ${detail}` : ''}${hint}`;
+}
+
+// Honours Retry-After in seconds (the API's 503s may send one), capped at 10 s
+function retryAfterMs(res) {
+  const seconds = Number(res.headers.get('retry-after'));
+  return seconds > 0 ? Math.min(seconds, 10) * 1000 : null;
+}
+
+function backoffMs(attempt) {
+  return 500 * 2 ** attempt + Math.random() * 250;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// ─── Provider keys ───────────────────────────────────────────────────────────
+// Bring-your-own provider keys and models, forwarded to the API as `userApiKeys`
+// exactly like the web UI's Settings panel does. Field names match
+// SETTINGS_KEY_MAP in wwwroot/js/app.js, so a settings export can be used as the file.
+
+const USER_API_KEY_ENV = {
+  OpenRouter:          'MCP_OPENROUTER_API_KEY',
+  OpenRouterModel:     'MCP_OPENROUTER_MODEL',
+  OpenAI:              'MCP_OPENAI_API_KEY',
+  OpenAIModel:         'MCP_OPENAI_MODEL',
+  Anthropic:           'MCP_ANTHROPIC_API_KEY',
+  AnthropicModel:      'MCP_ANTHROPIC_MODEL',
+  Gemini:              'MCP_GEMINI_API_KEY',
+  GeminiModel:         'MCP_GEMINI_MODEL',
+  AzureOpenAI:         'MCP_AZURE_OPENAI_API_KEY',
+  AzureOpenAIEndpoint: 'MCP_AZURE_OPENAI_ENDPOINT',
+  AzureOpenAIModel:    'MCP_AZURE_OPENAI_MODEL',
+  GooglePlaces:        'MCP_GOOGLE_PLACES_API_KEY',
+};
+
+// Same rule as MaskApiKeys in the API: models and endpoints aren't secret, everything else is
+const isSecretField = (field) => !/(Model|Endpoint)$/.test(field);
+
+let userApiKeys  = {};
+let secretValues = [];
+
+// Called once at startup with --keys-file= / MCP_USER_API_KEYS_FILE; returns the field names loaded
+export function configureUserApiKeys(file) {
+  userApiKeys  = loadUserApiKeys(file);
+  secretValues = Object.entries(userApiKeys)
+    .filter(([field, value]) => isSecretField(field) && value.length >= 8)
+    .map(([, value]) => value);
+  return Object.keys(userApiKeys);
+}
+
+function loadUserApiKeys(file) {
+  const keys = {};
+
+  if (file) {
+    try {
+      const parsed = JSON.parse(readFileSync(file, 'utf8'));
+      for (const field of Object.keys(USER_API_KEY_ENV)) {
+        if (typeof parsed[field] === 'string' && parsed[field].trim()) keys[field] = parsed[field].trim();
+      }
+    } catch (err) {
+      // Never print the file contents — only what went wrong
+      process.stderr.write(`[mcp] Could not load provider keys from ${file}: ${err instanceof SyntaxError ? 'invalid JSON' : err.code ?? err.message}\n`);
+    }
+  }
+
+  for (const [field, envVar] of Object.entries(USER_API_KEY_ENV)) {
+    const value = process.env[envVar]?.trim();
+    if (value) keys[field] = value;
+  }
+  return keys;
+}
+
+// models: per-call { OpenAI: 'gpt-4o-mini', ... } → { OpenAIModel: 'gpt-4o-mini', ... }
+function buildUserApiKeys(models) {
+  const keys = { ...userApiKeys };
+  for (const [provider, model] of Object.entries(models ?? {})) {
+    if (`${provider}Model` in USER_API_KEY_ENV && model) keys[`${provider}Model`] = model;
+  }
+  return Object.keys(keys).length > 0 ? keys : null;
+}
+
+// Provider error messages can quote the key they rejected; scrub before output or logging.
+// extra: keys passed for one call only, which aren't in secretValues
+export function redactSecrets(text, extra = []) {
+  let out = text;
+  for (const secret of [...secretValues, ...extra]) out = out.split(secret).join('***');
+  return out;
+}
+
+// Whole tool results, structuredContent included
+export function redactResult(result) {
+  return secretValues.length ? JSON.parse(redactSecrets(JSON.stringify(result))) : result;
+}
+
+export function logError(message) {
+  process.stderr.write(`[mcp] ${redactSecrets(message)}\n`);
+}
+
+// ─── Progress reporting ──────────────────────────────────────────────────────
+// Tool handlers report through a `report` object built per call by protocol.mjs
+// (createReporter): progress and log notifications, plus hooks for results fetched
+// and cache changes so resources stay current. SILENT_REPORTER drops everything.
+
+// Same keys and labels as pipelineSteps in wwwroot/js/app.js
+const PIPELINE_STEPS = [
+  { key: 'geocode',     label: 'Geocoding location' },
+  { key: 'cache',       label: 'Checking cache' },
+  { key: 'generate',    label: 'Querying AI providers (parallel)' },
+  { key: 'enrich',      label: 'Enriching with Google Places' },
+  { key: 'validate',    label: 'Cross-validating recommendations' },
+  { key: 'score',       label: 'Building consensus score' },
+  { key: 'synthesize',  label: 'Synthesizing final recommendations' },
+  { key: 'cache_write', label: 'Saving to cache' },
+];
+
+export const SILENT_REPORTER = {
+  tracksProgress: false,
+  wants:          () => false,
+  progress() {},
+  log() {},
+  resultFetched() {},
+  cacheChanged() {},
+};
+
+// Pipeline events → onStep(value, message), value counting finished steps out of
+// PIPELINE_STEPS.length. A running step is worth 0.1 of itself and finished providers
+// fill the generate step in proportion, so the value only ever moves forward.
+function pipelineTracker(onStep, report) {
+  const providers = { started: 0, finished: 0 };
+  return (evt) => {
+    const index = PIPELINE_STEPS.findIndex(s => s.key === evt.step);
+    if (index === -1) return;
+    const { label } = PIPELINE_STEPS[index];
+
+    let value;
+    if (evt.provider) {
+      if (evt.status === 'running') providers.started++;
+      else providers.finished++;
+      value = index + 0.1 + 0.8 * providers.finished / Math.max(providers.started, 1);
+    } else {
+      value = evt.status === 'running' ? index + 0.1 : index + 1;
+    }
+
+    const message = (evt.provider ? `${label}: ${evt.provider} ${evt.status}`
+      : evt.status === 'running' ? `${label}…`
+      : `${label}: ${evt.status}`) + (evt.message ? ` — ${evt.message}` : '');
+    onStep(Math.round(value * 1000) / 1000, message);
+    report.log(evt.status === 'failed' ? 'warning' : 'debug', message);
+  };
+}
+
+// ─── Export formats ──────────────────────────────────────────────────────────
+// A copy of the Export menu's serializers in wwwroot/js/app.js — any change here
+// (fields, escaping, the CSV formula guard) must be made there too.
+
+// Google/OSM coordinates when enrichment found the place, else the AI's own guess
+function placeCoordinates(r) {
+  const e = r.enrichedPlaceData;
+  if (e && (e.latitude || e.longitude)) return { latitude: e.latitude, longitude: e.longitude };
+  if (Number.isFinite(r.latitude) && Number.isFinite(r.longitude)) return { latitude: r.latitude, longitude: r.longitude };
+  return null;
+}
+
+// Multi-category searches tag every AI result "All"; fall back to the Places category
+function placeCategory(r) {
+  return r.category !== 'All' ? r.category : (r.enrichedPlaceData?.category ?? 'All');
+}
+
+function exportRows(data) {
+  return (data.recommendations ?? []).map((r, i) => {
+    const e      = r.enrichedPlaceData;
+    const coords = placeCoordinates(r);
+    return {
+      rank:            i + 1,
+      name:            r.name,
+      address:         e?.address || r.address || '',
+      latitude:        coords?.latitude ?? null,
+      longitude:       coords?.longitude ?? null,
+      category:        placeCategory(r),
+      confidenceScore: r.confidenceScore,
+      confidenceLevel: r.confidenceLevel,
+      agreementCount:  r.agreementCount,
+      rating:          e?.rating ?? null,
+      highlights:      r.highlights ?? [],
+      whyRecommended:  r.whyRecommended ?? '',
+    };
+  });
+}
+
+function exportDescription(r) {
+  return [
+    r.address,
+    `${r.category} · ${r.confidenceLevel} confidence (${Math.round(r.confidenceScore * 100)}%) · ${r.agreementCount} AI(s) agree`,
+    r.rating !== null ? `Rating: ${r.rating}` : '',
+    r.highlights.length ? `Highlights: ${r.highlights.join(', ')}` : '',
+    r.whyRecommended,
+  ].filter(Boolean).join('\n');
+}
+
+function escXml(str) {
+  return String(str ?? '').replace(/[<>&"']/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function toGeoJson(data) {
+  // Places without coordinates can't be features; CSV keeps them
+  const features = exportRows(data)
+    .filter(r => r.latitude !== null)
+    .map(({ latitude, longitude, ...properties }) => ({
+      type:     'Feature',
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties,
+    }));
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function toCsv(data) {
+  const columns = ['rank', 'name', 'address', 'latitude', 'longitude', 'category', 'confidenceScore',
+                   'confidenceLevel', 'agreementCount', 'rating', 'highlights', 'whyRecommended'];
+  const cell = v => {
+    let str = Array.isArray(v) ? v.join('; ') : (v ?? '').toString();
+    // AI-written text starting with = + - @ would run as a spreadsheet formula; numbers
+    // (negative coordinates) are left alone
+    if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = exportRows(data).map(r => columns.map(c => cell(r[c])).join(','));
+  return [columns.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+function toKml(data) {
+  const placemarks = exportRows(data).filter(r => r.latitude !== null).map(r => `
+    <Placemark>
+      <name>${escXml(`${r.rank}. ${r.name}`)}</name>
+      <description>${escXml(exportDescription(r))}</description>
+      <Point><coordinates>${r.longitude},${r.latitude},0</coordinates></Point>
+    </Placemark>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escXml(data.resolvedAddress || 'Place recommendations')}</name>${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function toGpx(data) {
+  const waypoints = exportRows(data).filter(r => r.latitude !== null).map(r => `
+  <wpt lat="${r.latitude}" lon="${r.longitude}">
+    <name>${escXml(`${r.rank}. ${r.name}`)}</name>
+    <desc>${escXml(exportDescription(r))}</desc>
+    <type>${escXml(r.category)}</type>
+  </wpt>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Place Recommendations" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escXml(data.resolvedAddress || 'Place recommendations')}</name></metadata>${waypoints}
+</gpx>
+`;
+}
+
+const EXPORTERS = {
+  geojson: { mimeType: 'application/geo+json',                 build: toGeoJson },
+  csv:     { mimeType: 'text/csv',                             build: toCsv },
+  kml:     { mimeType: 'application/vnd.google-earth.kml+xml', build: toKml },
+  gpx:     { mimeType: 'application/gpx+xml',                  build: toGpx },
+};
+
+// ─── Itinerary planning ──────────────────────────────────────────────────────
+
+// Typical time spent at each kind of stop, in minutes
+const VISIT_MINUTES = {
+  Restaurant: 90, Cafe: 45, TouristAttraction: 60, Museum: 120, Park: 60,
+  Bar: 60, Hotel: 15, Shopping: 60, Entertainment: 120,
+};
+
+const WALKING_METERS_PER_MINUTE = 80;  // ≈ 4.8 km/h
+const WALKING_DETOUR_FACTOR     = 1.3; // streets are longer than a straight line
+
+function distanceMeters(a, b) {
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+          + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function parseClock(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function formatClock(minutes) {
+  const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+async function resolveStart(args, signal) {
+  if (args.latitude != null && args.longitude != null) {
+    return { address: args.address ?? null, latitude: args.latitude, longitude: args.longitude };
+  }
+  const params   = new URLSearchParams({ q: args.address, limit: '1' });
+  const { data } = await apiRequest(`/api/geocode/suggest?${params}`, { signal });
+  if (!Array.isArray(data) || data.length === 0) return null;
+  return { address: data[0].displayName, latitude: data[0].latitude, longitude: data[0].longitude };
+}
+
+async function planItinerary(args, signal, report = SILENT_REPORTER) {
+  const start = await resolveStart(args, signal);
+  if (!start) {
+    return { isError: true, content: [{ type: 'text', text: `Could not find the start address "${args.address}".` }] };
+  }
+
+  const startTime = args.startTime ?? '13:00';
+  const endTime   = args.endTime ?? '19:00';
+  let   clock     = parseClock(startTime);
+  let   windowEnd = parseClock(endTime);
+  if (windowEnd <= clock) windowEnd += 1440; // window runs past midnight
+
+  const stops   = [];
+  const skipped = [];
+  const visited = new Set(); // lower-cased names, so the same place can't appear twice
+  let   here    = start;
+  let   walked  = 0;
+
+  for (const [i, category] of args.stops.entries()) {
+    if (clock >= windowEnd) {
+      skipped.push(...args.stops.slice(i).map(c => ({ category: c, reason: 'No time left in the window' })));
+      break;
+    }
+
+    // Each leg is one pipeline run: progress counts pipeline steps across all legs
+    const steps = PIPELINE_STEPS.length;
+    const onStep = (value, message) =>
+      report.progress(i * steps + value, args.stops.length * steps, `Stop ${i + 1}/${args.stops.length} (${category}): ${message}`);
+
+    let data;
+    try {
+      data = await fetchRecommendations({
+        latitude:     here.latitude,
+        longitude:    here.longitude,
+        categories:   [category],
+        radiusMeters: args.legRadiusMeters ?? 1000,
+        maxResults:   10,
+        models:       args.models,
+      }, signal, report, onStep);
+    } catch (err) {
+      // One leg failing is survivable; an unreachable API or a timeout is not
+      if (!(err instanceof ApiError) || err.status === null) throw err;
+      report.log('warning', `Skipping ${category}: ${err.message}`);
+      skipped.push({ category, reason: err.message });
+      continue;
+    }
+
+    // Best-ranked place we haven't used that has coordinates to walk to
+    const place = toStructuredRecommendations(data).places
+      .find(p => p.latitude !== null && !visited.has(p.name.toLowerCase()));
+    if (!place) {
+      skipped.push({ category, reason: 'No new place with a known location nearby' });
+      continue;
+    }
+
+    const walkMeters   = Math.round(distanceMeters(here, place));
+    const walkMinutes  = Math.round(walkMeters * WALKING_DETOUR_FACTOR / WALKING_METERS_PER_MINUTE);
+    const visitMinutes = VISIT_MINUTES[category] ?? 60;
+    const arriveAt     = clock + walkMinutes;
+    if (arriveAt + visitMinutes > windowEnd) {
+      skipped.push({ category, reason: `${place.name} would end after ${endTime}` });
+      continue;
+    }
+
+    visited.add(place.name.toLowerCase());
+    stops.push({
+      order:           stops.length + 1,
+      category,
+      name:            place.name,
+      address:         place.address,
+      latitude:        place.latitude,
+      longitude:       place.longitude,
+      rating:          place.rating,
+      confidenceLevel: place.confidenceLevel,
+      verified:        place.verified,
+      walkMeters,
+      walkMinutes,
+      visitMinutes,
+      arriveAt:        formatClock(arriveAt),
+      leaveAt:         formatClock(arriveAt + visitMinutes),
+    });
+    walked += walkMeters;
+    clock   = arriveAt + visitMinutes;
+    here    = place;
+  }
+
+  const structured = {
+    start,
+    startTime,
+    endTime,
+    stops,
+    skipped,
+    totalWalkingMeters:   walked,
+    totalWalkingMinutes:  stops.reduce((sum, s) => sum + s.walkMinutes, 0),
+    totalDurationMinutes: clock - parseClock(startTime),
+    endsAt:               formatClock(clock),
+  };
+
+  if (!stops.length) {
+    const reasons = skipped.map(s => `- ${s.category}: ${s.reason}`).join('\n');
+    return { isError: true, content: [{ type: 'text', text: `Could not build an itinerary:\n${reasons}` }], structuredContent: structured };
+  }
+
+  const lines = stops.map(s =>
+    `${s.arriveAt}–${s.leaveAt}  ${s.order}. ${s.name} (${s.category})${s.rating ? ` ★${s.rating}` : ''}\n` +
+    `             walk ${(s.walkMeters / 1000).toFixed(1)} km, ~${s.walkMinutes} min`);
+  const hours = (structured.totalDurationMinutes / 60).toFixed(1);
+  const text = [
+    `Itinerary from ${start.address ?? `${start.latitude}, ${start.longitude}`}, ${startTime}–${structured.endsAt} (${hours} h, ` +
+      `${(walked / 1000).toFixed(1)} km walking):`,
+    '',
+    ...lines,
+    ...(skipped.length ? ['', 'Skipped:', ...skipped.map(s => `- ${s.category}: ${s.reason}`)] : []),
+  ].join('\n');
+
+  return { content: [{ type: 'text', text }], structuredContent: structured };
+}
+
+// ─── Text rendering ──────────────────────────────────────────────────────────
+
+// Same rules as formatDistance in wwwroot/js/app.js
+function formatDistance(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
+
+function describeLocation(location) {
+  const name = location.resolvedAddress ?? location.address ?? 'the location';
+  return location.resolvedAddress !== undefined
+    ? `${name} (${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)})`
+    : name;
+}
+
+// One place as renderCard in app.js shows it: compact is a single line, full is the whole card
+function formatPlace(place, verbosity) {
+  const facts = [
+    place.verified ? '✓ Verified' : null,
+    place.rating != null
+      ? `★ ${place.rating.toFixed(1)}${place.userRatingsTotal ? ` (${place.userRatingsTotal.toLocaleString('en-US')} reviews)` : ''}`
+      : null,
+    place.distanceMeters ? formatDistance(place.distanceMeters) : null,
+  ].filter(Boolean);
+  const confidence = `${Math.round((place.confidenceScore ?? 0) * 100)}% ${place.confidenceLevel || 'Medium'}`;
+  const agreement  = `${place.agreementCount ?? 0} AI${place.agreementCount !== 1 ? 's' : ''} agreed`;
+
+  if (verbosity === 'compact') {
+    return `#${place.rank} ${place.name} — ${[...facts, confidence, agreement].join(' · ')}`;
+  }
+  const proposedBy = place.proposedBy?.length ? ` (${place.proposedBy.join(', ')})` : '';
+  return [
+    `#${place.rank} ${place.name}${facts.length ? ` — ${facts.join(' · ')}` : ''}`,
+    place.address,
+    place.description,
+    place.highlights.length ? `Highlights: ${place.highlights.join(', ')}` : null,
+    `Confidence: ${confidence} · ${agreement}${proposedBy}`,
+    place.whyRecommended ? `Why: ${place.whyRecommended}` : null,
+  ].filter(Boolean).join('\n   ');
+}
+
+// A toStructuredRecommendations result as tool text. raw is the structured result itself,
+// for clients that would rather parse JSON than read prose.
+export function formatRecommendations(structured, verbosity = 'full') {
+  if (verbosity === 'raw') return JSON.stringify(structured, null, 2);
+  if (!structured.places.length) return 'No recommendations found.';
+
+  const places = structured.places.map(p => formatPlace(p, verbosity));
+  const source = structured.fromCache ? ' (from cache)' : '';
+  return `Found ${places.length} recommendations near ${describeLocation(structured.location)}${source}:\n\n` +
+    places.join(verbosity === 'compact' ? '\n' : '\n\n');
+}
+
+// ─── Tool handlers ───────────────────────────────────────────────────────────
+
+// Streams the pipeline when the caller wants progress or debug logs; onStep defaults to
+// reporting the pipeline alone as the whole call's progress
+async function fetchRecommendations(args, signal, report = SILENT_REPORTER,
+  onStep = (value, message) => report.progress(value, PIPELINE_STEPS.length, message)) {
+  const body = {
+    address:      args.address      ?? null,
+    latitude:     args.latitude     ?? null,
+    longitude:    args.longitude    ?? null,
+    categories:   args.categories   ?? [],
+    radiusMeters: args.radiusMeters ?? 1000,
+    maxResults:   args.maxResults   ?? 10,
+    forceRefresh: args.forceRefresh ?? false,
+    userApiKeys:  buildUserApiKeys(args.models),
+  };
+  const data = report.tracksProgress || report.wants('debug')
+    ? await apiStream('/api/recommendations/stream', { body, signal, onProgress: pipelineTracker(onStep, report) })
+    : (await apiRequest('/api/recommendations', { method: 'POST', body, signal })).data;
+
+  const failed = data.metadata?.providersFailed ?? [];
+  if (failed.length) report.log('warning', `Providers failed: ${failed.join(', ')}`);
+  if (data.fromCache) report.log('info', `Served from cache (generated ${data.generatedAt})`);
+  report.resultFetched(data);
+  return data;
+}
+
+// RecommendationResponse → the get_recommendations outputSchema shape
+export function toStructuredRecommendations(data) {
+  const m = data.metadata ?? {};
+  return {
+    location: {
+      address:   data.resolvedAddress ?? null,
+      latitude:  data.latitude,
+      longitude: data.longitude,
+    },
+    radiusMeters: data.radiusMeters ?? null,
+    fromCache:    !!data.fromCache,
+    generatedAt:  data.generatedAt ?? null,
+    places: (data.recommendations ?? []).map((r, i) => {
+      const e      = r.enrichedPlaceData;
+      const coords = placeCoordinates(r);
+      return {
+        rank:             i + 1,
+        name:             r.name,
+        description:      r.description ?? '',
+        category:         placeCategory(r),
+        address:          e?.address || r.address || null,
+        latitude:         coords?.latitude ?? null,
+        longitude:        coords?.longitude ?? null,
+        rating:           e?.rating ?? null,
+        userRatingsTotal: e?.userRatingsTotal ?? null,
+        distanceMeters:   e?.distanceMeters || null,
+        confidenceScore:  r.confidenceScore,
+        confidenceLevel:  r.confidenceLevel,
+        agreementCount:   r.agreementCount,
+        proposedBy:       [...new Set((r.provenance?.proposals ?? []).map(p => p.provider))],
+        verified:         !!e?.isVerifiedRealPlace,
+        highlights:       r.highlights ?? [],
+        whyRecommended:   r.whyRecommended ?? null,
+        website:          e?.website ?? null,
+        phoneNumber:      e?.phoneNumber ?? null,
+      };
+    }),
+    metadata: {
+      providersUsed:            m.providersUsed ?? [],
+      providersFailed:          m.providersFailed ?? [],
+      synthesizedBy:            m.synthesizedBy ?? null,
+      googlePlacesEnriched:     !!m.googlePlacesEnriched,
+      totalCandidatesEvaluated: m.totalCandidatesEvaluated ?? 0,
+      totalElapsed:             m.totalElapsed ?? null,
+    },
+  };
+}
+
+// Through the API (GET /api/geocode/reverse), so a local stub API can answer it; null when nothing matched
+async function reverseGeocode(latitude, longitude, signal) {
+  const params = new URLSearchParams({ lat: String(latitude), lng: String(longitude) });
+  const { status, data } = await apiRequest(`/api/geocode/reverse?${params}`, { signal, allowStatus: [404] });
+  return status === 404 ? null : data.displayName ?? null;
+}
+
+export async function callTool(name, args, signal, report = SILENT_REPORTER) {
+  switch (name) {
+    case 'get_recommendations': {
+      const data       = await fetchRecommendations(args, signal, report);
+      const structured = toStructuredRecommendations(data);
+      if (args.resolveAddress) {
+        const { latitude, longitude } = structured.location;
+        // (0, 0) means the API couldn't geocode the address — nothing to look up
+        structured.location.resolvedAddress = latitude === 0 && longitude === 0
+          ? null
+          : await reverseGeocode(latitude, longitude, signal);
+      }
+      const text = formatRecommendations(structured, args.verbosity);
+      return { content: [{ type: 'text', text }], structuredContent: structured };
+    }
+
+    case 'export_recommendations': {
+      const exporter = EXPORTERS[args.format];
+      if (!exporter) {
+        return { isError: true, content: [{ type: 'text', text: `Unknown format: ${args.format} (expected geojson, csv, kml or gpx)` }] };
+      }
+      const data = await fetchRecommendations(args, signal, report);
+      const text = exporter.build(data);
+      return {
+        content: [{ type: 'text', text }],
+        structuredContent: {
+          format:     args.format,
+          mimeType:   exporter.mimeType,
+          placeCount: (data.recommendations ?? []).length,
+          content:    text,
+        },
+      };
+    }
+
+    case 'plan_itinerary':
+      return planItinerary(args, signal, report);
+
+    case 'get_providers_status': {
+      const { data } = await apiRequest('/api/providers/status', { signal });
+      const structured = {
+        providers: (data.providers ?? []).map(p => ({
+          name:      p.name,
+          model:     p.model ?? null,
+          available: !!p.available,
+        })),
+        googlePlacesConfigured: !!data.googlePlacesConfigured,
+      };
+      const providers = structured.providers
+        .map(p => `${p.available ? '✓' : '✗'} ${p.name}`)
+        .join('\n');
+      const places = structured.googlePlacesConfigured ? '✓ Google Places' : '✗ Google Places (using OSM/Overpass fallback)';
+      return {
+        content: [{ type: 'text', text: `AI Providers:\n${providers}\n\nPlaces:\n${places}` }],
+        structuredContent: structured,
+      };
+    }
+
+    case 'list_provider_models': {
+      const apiKey   = args.apiKey?.trim() || userApiKeys[args.provider];
+      const endpoint = args.endpoint?.trim() || userApiKeys.AzureOpenAIEndpoint;
+      const params = new URLSearchParams({ provider: args.provider });
+      if (apiKey) params.set('apiKey', apiKey);
+      if (args.provider === 'AzureOpenAI' && endpoint) params.set('endpoint', endpoint);
+
+      let data;
+      try {
+        ({ data } = await apiRequest(`/api/providers/models?${params}`, { signal }));
+      } catch (err) {
+        if (args.apiKey?.trim()) err.message = redactSecrets(err.message, [args.apiKey.trim()]);
+        throw err;
+      }
+      const all = (data.models ?? []).map(m => ({ id: m.id, name: m.name || m.id }));
+      // Same match as filterModels in wwwroot/js/app.js
+      const q = args.filter?.trim().toLowerCase() ?? '';
+      const models = q ? all.filter(m => `${m.id} ${m.name}`.toLowerCase().includes(q)) : all;
+      const structured = { provider: args.provider, models, total: all.length, warning: data.warning ?? null };
+
+      const header = q
+        ? `${models.length} of ${all.length} ${args.provider} models match "${args.filter.trim()}"`
+        : `${all.length} ${args.provider} models`;
+      const lines = models.map(m => (m.name !== m.id ? `${m.id} — ${m.name}` : m.id));
+      const text = [
+        structured.warning ? `${header} (${structured.warning})` : header,
+        ...(lines.length ? ['', ...lines] : []),
+      ].join('\n');
+      return { content: [{ type: 'text', text }], structuredContent: structured };
+    }
+
+    case 'geocode_address': {
+      const params = new URLSearchParams({ q: args.query, limit: String(args.limit ?? 5) });
+      const { data } = await apiRequest(`/api/geocode/suggest?${params}`, { signal });
+      const results = Array.isArray(data)
+        ? data.map(r => ({ displayName: r.displayName, latitude: r.latitude, longitude: r.longitude }))
+        : [];
+      const text = results.length
+        ? results.map((r, i) => `${i + 1}. ${r.displayName}  (${r.latitude}, ${r.longitude})`).join('\n')
+        : 'No results found.';
+      return { content: [{ type: 'text', text }], structuredContent: { results } };
+    }
+
+    case 'reverse_geocode': {
+      const displayName = await reverseGeocode(args.latitude, args.longitude, signal);
+      const structured  = { found: displayName !== null, displayName, latitude: args.latitude, longitude: args.longitude };
+      const text = displayName
+        ? `${displayName}  (${args.latitude}, ${args.longitude})`
+        : `No address found near (${args.latitude}, ${args.longitude}).`;
+      return { content: [{ type: 'text', text }], structuredContent: structured };
+    }
+
+    case 'get_cache_status': {
+      const { data } = await apiRequest('/api/recommendations/cache/status', { signal });
+      const structured = {
+        totalEntries:   data.totalEntries ?? 0,
+        expiredEntries: data.expiredEntries ?? 0,
+        oldestEntry:    data.oldestEntry ?? null,
+        newestEntry:    data.newestEntry ?? null,
+      };
+      const text = [
+        `Cache: ${structured.totalEntries} entries (${structured.expiredEntries} expired)`,
+        `Oldest: ${structured.oldestEntry ?? '—'}`,
+        `Newest: ${structured.newestEntry ?? '—'}`,
+      ].join('\n');
+      return { content: [{ type: 'text', text }], structuredContent: structured };
+    }
+
+    case 'purge_cache': {
+      // The endpoint only reports success, so diff the stats to say what it removed
+      const { data: before } = await apiRequest('/api/recommendations/cache/status', { signal });
+      await apiRequest('/api/recommendations/cache', { method: 'DELETE', signal });
+      const { data: after } = await apiRequest('/api/recommendations/cache/status', { signal });
+      const structured = {
+        purgedEntries:    Math.max(0, (before.totalEntries ?? 0) - (after.totalEntries ?? 0)),
+        remainingEntries: after.totalEntries ?? 0,
+      };
+      if (structured.purgedEntries > 0) {
+        // Cached results listed by resources/list may be gone now
+        report.cacheChanged();
+      }
+      const text = `Purged ${structured.purgedEntries} expired cache entr${structured.purgedEntries === 1 ? 'y' : 'ies'}; ` +
+        `${structured.remainingEntries} remain.`;
+      return { content: [{ type: 'text', text }], structuredContent: structured };
+    }
+
+    default:
+      return { isError: true, content: [{ type: 'text', text: `Unknown tool: ${name}` }] };
+  }
+}
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,287 @@
+/**
+ * Transports for the MCP server: stdio and Streamable HTTP. Both only frame
+ * messages and hand them to dispatch() in protocol.mjs. Nothing starts on
+ * import — server.mjs picks one, and tests can run them on their own streams/ports.
+ */
+
+import http from 'node:http';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import {
+  INTERNAL_ERROR, INVALID_REQUEST, PARSE_ERROR, SUPPORTED_PROTOCOL_VERSIONS,
+  closeConnection, createConnection, dispatch, rpcError,
+} from './protocol.mjs';
+import { isPlainObject, logError } from './tools.mjs';
+
+const MAX_BODY_BYTES  = 1024 * 1024;
+const SESSION_IDLE_MS = 60 * 60 * 1000;
+
+// ─── stdio transport ─────────────────────────────────────────────────────────
+// Newline-delimited JSON-RPC in both directions. A message may arrive split
+// across chunks, or several may share one.
+
+export function startStdio({ input = process.stdin, output = process.stdout } = {}) {
+  const send = (obj) => output.write(JSON.stringify(obj) + '\n');
+  const conn = createConnection(send);
+
+  const pending = new Set();
+  const handleLine = (line) => {
+    let payload;
+    try {
+      payload = JSON.parse(line);
+    } catch {
+      send(rpcError(null, PARSE_ERROR, 'Parse error'));
+      return;
+    }
+    const reply = dispatch(payload, conn, send)
+      .then((response) => { if (response) send(response); })
+      .catch((err) => logError(`unhandled: ${err.message}`))
+      .finally(() => pending.delete(reply));
+    pending.add(reply);
+  };
+
+  let buf = '';
+  input.setEncoding('utf8');
+  input.on('data', (chunk) => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) handleLine(line);
+    }
+  });
+  input.on('end', async () => {
+    // The last message may not end with a newline (e.g. `echo -n '{…}' | node server.mjs`).
+    // Piped input ends as soon as it's written, so let every request answer before
+    // closeConnection aborts what's still running
+    const line = buf.trim();
+    buf = '';
+    if (line) handleLine(line);
+    await Promise.allSettled(pending);
+    closeConnection(conn);
+  });
+
+  return conn;
+}
+
+// ─── Streamable HTTP transport ───────────────────────────────────────────────
+// One endpoint (`path`, MCP_HTTP_PATH):
+//   POST   JSON-RPC message → application/json, or an SSE stream when the client
+//          accepts text/event-stream (request-scoped notifications, then the response)
+//   GET    standalone SSE stream for server-initiated messages
+//   DELETE ends the session
+// `initialize` creates a session; every later request must send its Mcp-Session-Id.
+
+const sessions = new Map(); // id → { id, stream, lastSeen }
+
+const SSE_HEADERS = {
+  'Content-Type':  'text/event-stream',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection:      'keep-alive',
+};
+
+// Resolves with the listening server; `port: 0` picks a free one (see server.address())
+export function startHttp({ host = '127.0.0.1', port = 3001, path = '/mcp', authToken = null, allowedOrigins = [] } = {}) {
+  const config = { path, authToken, allowedOrigins };
+  const server = http.createServer((req, res) => {
+    handleHttp(req, res, config).catch((err) => {
+      logError(`unhandled: ${err.message}`);
+      if (!res.headersSent) sendHttpError(res, 500, INTERNAL_ERROR, 'Internal error');
+      else res.end();
+    });
+  });
+
+  // Forget sessions that went quiet without a DELETE
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, session] of sessions) {
+      if (!session.stream && session.lastSeen < cutoff) {
+        closeConnection(session);
+        sessions.delete(id);
+      }
+    }
+  }, 60_000).unref();
+  server.on('close', () => clearInterval(sweep));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+async function handleHttp(req, res, config) {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== config.path) {
+    res.writeHead(404).end();
+    return;
+  }
+
+  // Browsers always send Origin; rejecting foreign ones blocks DNS-rebinding attacks
+  if (!isOriginAllowed(req.headers.origin, config.allowedOrigins)) {
+    sendHttpError(res, 403, INVALID_REQUEST, `Origin not allowed: ${req.headers.origin}`);
+    return;
+  }
+  if (!isAuthorized(req.headers.authorization, config.authToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendHttpError(res, 401, INVALID_REQUEST, 'Missing or invalid bearer token');
+    return;
+  }
+
+  switch (req.method) {
+    case 'POST':   return handlePost(req, res);
+    case 'GET':    return handleGet(req, res);
+    case 'DELETE': return handleDelete(req, res);
+    default:
+      res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+  }
+}
+
+async function handlePost(req, res) {
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch (err) {
+    if (err.code === 'BODY_TOO_LARGE') sendHttpError(res, 413, INVALID_REQUEST, err.message);
+    else sendHttpError(res, 400, PARSE_ERROR, 'Parse error');
+    return;
+  }
+
+  let session;
+  if (isPlainObject(payload) && payload.method === 'initialize') {
+    session = createConnection((obj) => { if (session.stream) writeSse(session.stream, obj); });
+    Object.assign(session, { id: randomUUID(), stream: null, lastSeen: Date.now() });
+    sessions.set(session.id, session);
+  } else {
+    session = getSession(req, res);
+    if (!session) return;
+  }
+  res.setHeader('Mcp-Session-Id', session.id);
+
+  // Only notifications and client responses → acknowledged without a body
+  const messages = Array.isArray(payload) ? payload : [payload];
+  if (messages.length && !messages.some(expectsReply)) {
+    await dispatch(payload, session, session.push);
+    res.writeHead(202).end();
+    return;
+  }
+
+  if (!(req.headers.accept ?? '').includes('text/event-stream')) {
+    const response = await dispatch(payload, session, session.push);
+    if (response) res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(response));
+    else res.writeHead(202).end(); // every request in it was cancelled
+    return;
+  }
+
+  res.writeHead(200, SSE_HEADERS);
+  const response = await dispatch(payload, session, (obj) => writeSse(res, obj));
+  if (response) writeSse(res, response);
+  res.end();
+}
+
+// Notifications and client responses are the only messages that get no reply
+function expectsReply(msg) {
+  if (!isPlainObject(msg)) return true;
+  if (msg.method === undefined) return msg.id === undefined; // neither → invalid → error reply
+  return msg.id !== undefined;
+}
+
+function handleGet(req, res) {
+  if (!(req.headers.accept ?? '').includes('text/event-stream')) {
+    res.writeHead(405, { Allow: 'POST, DELETE' }).end();
+    return;
+  }
+  const session = getSession(req, res);
+  if (!session) return;
+
+  // One standalone stream per session; a reconnect replaces the old one
+  session.stream?.end();
+  session.stream = res;
+  res.writeHead(200, { ...SSE_HEADERS, 'Mcp-Session-Id': session.id });
+  res.write(': connected\n\n');
+
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25_000);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    if (session.stream === res) session.stream = null;
+    session.lastSeen = Date.now();
+  });
+}
+
+function handleDelete(req, res) {
+  const session = getSession(req, res);
+  if (!session) return;
+  session.stream?.end();
+  closeConnection(session);
+  sessions.delete(session.id);
+  res.writeHead(200).end();
+}
+
+function getSession(req, res) {
+  const id = req.headers['mcp-session-id'];
+  if (!id) {
+    sendHttpError(res, 400, INVALID_REQUEST, 'Missing Mcp-Session-Id header');
+    return null;
+  }
+  const session = sessions.get(id);
+  if (!session) {
+    // 404 tells the client to start over with a fresh initialize
+    sendHttpError(res, 404, INVALID_REQUEST, 'Unknown or expired session');
+    return null;
+  }
+  const version = req.headers['mcp-protocol-version'];
+  if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+    sendHttpError(res, 400, INVALID_REQUEST, `Unsupported MCP-Protocol-Version: ${version}`);
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+function writeSse(res, obj) {
+  res.write(`event: message\ndata: ${JSON.stringify(obj)}\n\n`);
+}
+
+function sendHttpError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+     .end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code, message } }));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      size += Buffer.byteLength(chunk);
+      if (size > MAX_BODY_BYTES) {
+        const err = new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+        err.code = 'BODY_TOO_LARGE';
+        reject(err);
+        req.destroy();
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin) return true; // non-browser clients don't send one
+  if (allowedOrigins.length) return allowedOrigins.includes(origin);
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function isAuthorized(header, authToken) {
+  if (!authToken) return true;
+  const match = /^Bearer (.+)$/i.exec(header ?? '');
+  if (!match) return false;
+  const given    = Buffer.from(match[1]);
+  const expected = Buffer.from(authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
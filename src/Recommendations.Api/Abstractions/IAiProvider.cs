@@ -5,6 +5,8 @@ namespace Recommendations.Api.Abstractions;
 
 public interface IAiProvider
 {
+    /// <summary>One of <see cref="AiProviderKeys"/>.</summary>
+    string Key { get; }
     string Name { get; }
     string Model { get; }
     bool IsAvailable { get; }
@@ -30,4 +32,11 @@ public interface IAiProvider
         IReadOnlyList<CrossValidationResult> allValidatedResults,
         IReadOnlyList<PlaceRecommendation> scoredCandidates,
         CancellationToken ct = default);
+
+    /// <summary>
+    /// Sends one prompt with the same key, model, token limit and timeout a search uses
+    /// and returns the reply text. Unlike the pipeline methods, failures are thrown rather
+    /// than logged, so <c>POST /api/providers/test</c> can say why a provider is failing.
+    /// </summary>
+    Task<string> CompleteAsync(string prompt, CancellationToken ct = default);
 }
@@ -9,6 +9,12 @@ public interface ICacheService
     Task InvalidateAsync(string cacheKey, CancellationToken ct = default);
     Task PurgeExpiredAsync(CancellationToken ct = default);
     Task<CacheStats> GetStatsAsync(CancellationToken ct = default);
+
+    /// <summary>Reads an unexpired entry without counting it as a cache hit.</summary>
+    Task<RecommendationResponse?> PeekAsync(string cacheKey, CancellationToken ct = default);
+
+    /// <summary>Unexpired entries, newest first.</summary>
+    Task<IReadOnlyList<CacheEntryInfo>> ListEntriesAsync(CancellationToken ct = default);
 }
 
 public record CacheStats
@@ -18,3 +24,14 @@ public record CacheStats
     public DateTime? OldestEntry { get; init; }
     public DateTime? NewestEntry { get; init; }
 }
+
+public record CacheEntryInfo
+{
+    public string CacheKey { get; init; } = string.Empty;
+    public double Latitude { get; init; }
+    public double Longitude { get; init; }
+    public List<string> Categories { get; init; } = new();
+    public DateTime CreatedAt { get; init; }
+    public DateTime ExpiresAt { get; init; }
+    public int HitCount { get; init; }
+}
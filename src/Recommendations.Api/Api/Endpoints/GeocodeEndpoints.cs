@@ -1,4 +1,5 @@
 using System.Text.Json.Nodes;
+using Recommendations.Api.Abstractions;
 
 namespace Recommendations.Api.Api.Endpoints;
 
@@ -12,6 +13,26 @@ public static class GeocodeEndpoints
         app.MapGet("/api/geocode/suggest", GetSuggestions)
             .WithTags("Geocoding")
             .WithSummary("Address autocomplete suggestions via photon.komoot.io");
+
+        app.MapGet("/api/geocode/reverse", Reverse)
+            .WithTags("Geocoding")
+            .WithSummary("Readable address for a latitude/longitude");
+    }
+
+    private static async Task<IResult> Reverse(
+        double lat,
+        double lng,
+        IGeocodingProvider geocoder,
+        CancellationToken ct = default)
+    {
+        if (lat is < -90 or > 90 || lng is < -180 or > 180)
+            return Results.BadRequest(new { error = "lat must be within -90..90 and lng within -180..180" });
+
+        // Same lookup GeocodeStep uses for coordinate searches; null on no match or upstream failure
+        var displayName = await geocoder.ReverseGeocodeAsync(lat, lng, ct);
+        return displayName is null
+            ? Results.NotFound(new { error = $"No address found near ({lat:F5}, {lng:F5})" })
+            : Results.Ok(new { displayName, latitude = lat, longitude = lng });
     }
 
     private static async Task<IResult> GetSuggestions(
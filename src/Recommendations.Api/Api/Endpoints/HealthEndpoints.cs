@@ -18,6 +18,7 @@ public static class HealthEndpoints
             {
                 providers = providers.Select(p => new
                 {
+                    key = p.Key,
                     name = p.Name,
                     model = p.Model,
                     available = p.IsAvailable,
@@ -0,0 +1,24 @@
+using Microsoft.Extensions.Options;
+using Recommendations.Api.Configuration;
+
+namespace Recommendations.Api.Api.Endpoints;
+
+public static class MapEndpoints
+{
+    public static void Map(WebApplication app)
+    {
+        app.MapGet("/api/map/config", (IOptions<MapOptions> options) =>
+        {
+            var map = options.Value;
+            return Results.Ok(new
+            {
+                tileUrlTemplate = map.TileUrlTemplate,
+                attribution = map.Attribution,
+                minZoom = map.MinZoom,
+                maxZoom = map.MaxZoom
+            });
+        })
+        .WithTags("Map")
+        .WithSummary("Tile source used by the results map");
+    }
+}
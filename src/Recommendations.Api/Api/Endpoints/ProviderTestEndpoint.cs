@@ -0,0 +1,143 @@
+using System.Diagnostics;
+using System.Text.RegularExpressions;
+using Recommendations.Api.Abstractions;
+using Recommendations.Api.Domain;
+using Recommendations.Api.Infrastructure;
+using Recommendations.Api.Infrastructure.AiProviders;
+
+namespace Recommendations.Api.Api.Endpoints;
+
+public static class ProviderTestEndpoint
+{
+    // Same instructions and parsing as a real generation call, but only one tiny place to write
+    private const string ProbePrompt = """
+        Return ONLY valid JSON with NO additional text, markdown, or explanation:
+        {
+          "recommendations": [
+            { "name": "Connectivity check", "description": "ok", "confidenceScore": 1.0 }
+          ]
+        }
+        """;
+
+    public static void Map(WebApplication app)
+    {
+        app.MapPost("/api/providers/test", TestProvider)
+            .WithTags("Providers")
+            .WithSummary("Check a provider's key, endpoint and model with a minimal completion");
+    }
+
+    private static async Task<IResult> TestProvider(
+        ProviderTestRequest request,
+        IEnumerable<IAiProvider> providers,
+        ILoggerFactory loggerFactory,
+        CancellationToken ct = default)
+    {
+        var provider = providers.FirstOrDefault(p => string.Equals(p.Key, request.Provider, StringComparison.OrdinalIgnoreCase));
+        if (provider is null)
+            return Results.BadRequest(new { error = $"Unknown provider: {request.Provider}" });
+        var providerKey = provider.Key;
+
+        // Test exactly what a search with these settings would use
+        var overrides = new Dictionary<string, string>();
+        if (!string.IsNullOrWhiteSpace(request.ApiKey)) overrides[providerKey] = request.ApiKey.Trim();
+        if (!string.IsNullOrWhiteSpace(request.Model)) overrides[providerKey + "Model"] = request.Model.Trim();
+        if (providerKey == AiProviderKeys.AzureOpenAI && !string.IsNullOrWhiteSpace(request.Endpoint))
+            overrides["AzureOpenAIEndpoint"] = request.Endpoint.Trim();
+        UserApiKeyContext.Set(overrides);
+
+        var model = provider.Model;
+        if (!provider.IsAvailable)
+        {
+            return Results.Ok(Result(providerKey, model, ProviderTestOutcome.MissingKey, 0,
+                providerKey == AiProviderKeys.AzureOpenAI
+                    ? "Needs an API key and a resource endpoint — enter both or configure them on the server."
+                    : "No API key — enter one or configure it on the server."));
+        }
+
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            var raw = await provider.CompleteAsync(ProbePrompt, ct);
+            sw.Stop();
+
+            if (string.IsNullOrWhiteSpace(raw))
+            {
+                return Results.Ok(Result(providerKey, model, ProviderTestOutcome.NoOutput, sw.ElapsedMilliseconds,
+                    "The model returned no text. Reasoning-only models can spend the whole token budget thinking — pick a non-reasoning model or raise MaxTokens."));
+            }
+            if (!AiProviderBase.ParsesAsRecommendations(raw))
+            {
+                return Results.Ok(Result(providerKey, model, ProviderTestOutcome.NoJson, sw.ElapsedMilliseconds,
+                    "The model replied, but not with JSON searches can use, so it would contribute no places."));
+            }
+
+            return Results.Ok(Result(providerKey, model, ProviderTestOutcome.Ok, sw.ElapsedMilliseconds,
+                $"Working — replied in {sw.ElapsedMilliseconds} ms."));
+        }
+        catch (OperationCanceledException) when (!ct.IsCancellationRequested)
+        {
+            return Results.Ok(Result(providerKey, model, ProviderTestOutcome.Timeout, sw.ElapsedMilliseconds,
+                "No reply before the provider's timeout (TimeoutSeconds)."));
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            loggerFactory.CreateLogger(nameof(ProviderTestEndpoint))
+                .LogWarning("Provider test for {Provider} ({Model}) failed: {Message}", providerKey, model, ex.Message);
+            var (outcome, message) = Classify(ex, providerKey, model);
+            return Results.Ok(Result(providerKey, model, outcome, sw.ElapsedMilliseconds, message));
+        }
+    }
+
+    private static ProviderTestResult Result(string provider, string model, string outcome, long latencyMs, string message) => new()
+    {
+        Provider = provider,
+        Model = model,
+        Ok = outcome == ProviderTestOutcome.Ok,
+        Outcome = outcome,
+        Message = message,
+        LatencyMs = latencyMs
+    };
+
+    // The SDKs surface HTTP failures differently, so fall back to the status code or
+    // wording in the message when there's no typed status to read
+    private static (string Outcome, string Message) Classify(Exception ex, string providerKey, string model)
+    {
+        var status = ex switch
+        {
+            HttpRequestException { StatusCode: { } code } => (int)code,
+            System.ClientModel.ClientResultException { Status: > 0 } cre => cre.Status,
+            _ => StatusFromMessage(ex.Message)
+        };
+        var text = ex.Message;
+
+        if (status is 401 or 403 || Mentions(text, "invalid api key", "invalid x-api-key", "incorrect api key", "api key not valid", "unauthorized", "authentication"))
+            return (ProviderTestOutcome.InvalidKey, $"The API key was rejected{StatusSuffix(status)}.");
+
+        if (status == 404 || Mentions(text, "model_not_found", "does not exist", "deploymentnotfound", "is not found", "no endpoints found"))
+        {
+            return (ProviderTestOutcome.ModelNotFound, providerKey == AiProviderKeys.AzureOpenAI
+                ? $"Deployment \"{model}\" was not found on this resource{StatusSuffix(status)}."
+                : $"Model \"{model}\" was not found or isn't available to this key{StatusSuffix(status)}.");
+        }
+
+        if (status == 429 || Mentions(text, "rate limit", "rate_limit", "quota", "resource_exhausted", "too many requests"))
+            return (ProviderTestOutcome.RateLimited, $"Rate limited or out of quota{StatusSuffix(status)} — wait a moment or check the plan's limits.");
+
+        if (ex is UriFormatException || ex is HttpRequestException { StatusCode: null })
+            return (ProviderTestOutcome.Unreachable, $"Could not reach {providerKey}: {ex.Message}");
+
+        return (ProviderTestOutcome.Error, ex.Message);
+    }
+
+    private static int? StatusFromMessage(string message)
+    {
+        var match = Regex.Match(message, @"\b(40[0-9]|429|5\d\d)\b");
+        return match.Success ? int.Parse(match.Value) : null;
+    }
+
+    private static bool Mentions(string text, params string[] phrases) =>
+        phrases.Any(p => text.Contains(p, StringComparison.OrdinalIgnoreCase));
+
+    private static string StatusSuffix(int? status) =>
+        status is { } s ? $" (HTTP {s})" : string.Empty;
+}
@@ -1,5 +1,8 @@
 using System.Text.Json;
+using System.Threading.Channels;
 using FluentValidation;
+using Microsoft.AspNetCore.Http.Json;
+using Microsoft.Extensions.Options;
 using Recommendations.Api.Abstractions;
 using Recommendations.Api.Domain;
 using Recommendations.Api.Pipeline;
@@ -22,9 +25,18 @@ public static class RecommendationEndpoints
         group.MapPost("/", GetRecommendations)
             .WithSummary("Get place recommendations by location");
 
+        group.MapPost("/stream", StreamRecommendations)
+            .WithSummary("Get place recommendations, streaming pipeline progress as NDJSON");
+
         group.MapGet("/cache/status", GetCacheStatus)
             .WithSummary("Get cache statistics");
 
+        group.MapGet("/cache/entries", ListCacheEntries)
+            .WithSummary("List unexpired cache entries");
+
+        group.MapGet("/cache/entries/{cacheKey}", GetCacheEntry)
+            .WithSummary("Get a cached response without counting a cache hit");
+
         group.MapDelete("/cache", ClearCache)
             .WithSummary("Purge the cache");
     }
@@ -75,6 +87,87 @@ public static class RecommendationEndpoints
         }
     }
 
+    /// Streams one NDJSON line per pipeline progress event, then a final
+    /// {"type":"result","response":…} or {"type":"error","status":…,"detail":…} line.
+    /// Validation errors are returned up front as a plain 400, like the non-streaming endpoint.
+    private static async Task StreamRecommendations(
+        RecommendationRequest request,
+        HttpContext http,
+        RecommendationOrchestrator orchestrator,
+        IValidator<RecommendationRequest> validator,
+        IOptions<JsonOptions> jsonOptions,
+        ILogger<RecommendationOrchestrator> logger,
+        CancellationToken ct)
+    {
+        logger.LogDebug("\n══════════════════ RECOMMENDATION REQUEST (stream) ══════════════════\n{Payload}\n═══════════════════════════════════════════════════════════",
+            JsonSerializer.Serialize(request with { UserApiKeys = MaskApiKeys(request.UserApiKeys) }, _logJson));
+
+        var json = jsonOptions.Value.SerializerOptions;
+
+        var validation = await validator.ValidateAsync(request, ct);
+        if (!validation.IsValid)
+        {
+            var errs = validation.Errors.Select(e => e.ErrorMessage).ToList();
+            logger.LogWarning("Request validation failed: {Errors}", string.Join("; ", errs));
+            http.Response.StatusCode = StatusCodes.Status400BadRequest;
+            await http.Response.WriteAsJsonAsync(new { errors = errs }, json, ct);
+            return;
+        }
+
+        http.Response.ContentType = "application/x-ndjson";
+        http.Response.Headers.CacheControl = "no-cache";
+        http.Response.Headers["X-Accel-Buffering"] = "no";
+
+        // Progress events arrive from parallel provider tasks — funnel them through a channel
+        // so the response body is written by a single reader, in order.
+        var channel = Channel.CreateUnbounded<object>(new UnboundedChannelOptions { SingleReader = true });
+
+        async Task RunPipelineAsync()
+        {
+            try
+            {
+                var response = await orchestrator.GetRecommendationsAsync(
+                    request, ct, evt => channel.Writer.TryWrite(evt));
+                channel.Writer.TryWrite(new { type = "result", response });
+            }
+            catch (ArgumentException ex)
+            {
+                logger.LogWarning("Bad request: {Message}", ex.Message);
+                channel.Writer.TryWrite(new { type = "error", status = 400, detail = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                logger.LogError("Pipeline failed (503): {Message}", ex.Message);
+                channel.Writer.TryWrite(new { type = "error", status = 503, detail = ex.Message });
+            }
+            catch (OperationCanceledException)
+            {
+                logger.LogWarning("Request cancelled (504)");
+                channel.Writer.TryWrite(new { type = "error", status = 504, detail = "Request timed out." });
+            }
+            catch (Exception ex)
+            {
+                // The 200 and NDJSON headers are already sent, so this line is the only way to report it
+                logger.LogError(ex, "Pipeline failed unexpectedly (500)");
+                channel.Writer.TryWrite(new { type = "error", status = 500, detail = "An unexpected error occurred while building recommendations." });
+            }
+            finally
+            {
+                channel.Writer.Complete();
+            }
+        }
+
+        var pipeline = RunPipelineAsync();
+
+        await foreach (var message in channel.Reader.ReadAllAsync(ct))
+        {
+            await http.Response.WriteAsync(JsonSerializer.Serialize(message, json) + "\n", ct);
+            await http.Response.Body.FlushAsync(ct);
+        }
+
+        await pipeline;
+    }
+
     /// Mask API key values so they don't appear in logs.
     private static Dictionary<string, string>? MaskApiKeys(Dictionary<string, string>? keys)
     {
@@ -94,6 +187,23 @@ public static class RecommendationEndpoints
         return Results.Ok(stats);
     }
 
+    private static async Task<IResult> ListCacheEntries(
+        ICacheService cache,
+        CancellationToken ct)
+    {
+        var entries = await cache.ListEntriesAsync(ct);
+        return Results.Ok(entries);
+    }
+
+    private static async Task<IResult> GetCacheEntry(
+        string cacheKey,
+        ICacheService cache,
+        CancellationToken ct)
+    {
+        var response = await cache.PeekAsync(cacheKey, ct);
+        return response is null ? Results.NotFound() : Results.Ok(response);
+    }
+
     private static async Task<IResult> ClearCache(
         ICacheService cache,
         CancellationToken ct)
@@ -32,5 +32,33 @@ public class RecommendationRequestValidator : AbstractValidator<RecommendationRe
         RuleFor(x => x.RadiusMeters)
             .InclusiveBetween(100, 50000)
             .WithMessage("RadiusMeters must be between 100 and 50000.");
+
+        RuleForEach(x => x.Providers)
+            .Must(IsProviderKey)
+            .WithMessage($"Providers must only contain {KnownProviders}.");
+
+        When(x => !string.IsNullOrWhiteSpace(x.Synthesizer), () =>
+        {
+            RuleFor(x => x.Synthesizer!)
+                .Must(IsProviderKey)
+                .WithMessage($"Synthesizer must be one of {KnownProviders}.");
+
+            RuleFor(x => x)
+                .Must(x => x.Providers is not { Count: > 0 }
+                    || x.Providers.Contains(x.Synthesizer!, StringComparer.OrdinalIgnoreCase))
+                .WithMessage("Synthesizer must be one of the selected Providers.");
+        });
+
+        // Keep in step with PROVIDER_WEIGHT_MIN/MAX in wwwroot/js/app.js
+        RuleForEach(x => x.ProviderWeights)
+            .Must(w => IsProviderKey(w.Key))
+            .WithMessage($"ProviderWeights keys must be {KnownProviders}.")
+            .Must(w => w.Value is >= 0.1 and <= 5)
+            .WithMessage("ProviderWeights values must be between 0.1 and 5.");
     }
+
+    private static string KnownProviders => string.Join(", ", AiProviderKeys.All);
+
+    private static bool IsProviderKey(string key) =>
+        AiProviderKeys.All.Contains(key, StringComparer.OrdinalIgnoreCase);
 }
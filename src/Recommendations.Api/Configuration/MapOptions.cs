@@ -0,0 +1,10 @@
+namespace Recommendations.Api.Configuration;
+
+public class MapOptions
+{
+    // {z}/{x}/{y} placeholders; point at e.g. "/tiles/{z}/{x}/{y}.png" to serve tiles from wwwroot offline
+    public string TileUrlTemplate { get; set; } = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+    public string Attribution { get; set; } = "© OpenStreetMap contributors";
+    public int MinZoom { get; set; } = 3;
+    public int MaxZoom { get; set; } = 19;
+}
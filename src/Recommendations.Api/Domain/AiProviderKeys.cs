@@ -0,0 +1,17 @@
+namespace Recommendations.Api.Domain;
+
+/// <summary>
+/// Stable provider keys — the names used in <see cref="RecommendationRequest.UserApiKeys"/>,
+/// per-search provider selection and weights, and by the settings panel in wwwroot/js/app.js.
+/// Display names (<c>IAiProvider.Name</c>) can change with the model; these don't.
+/// </summary>
+public static class AiProviderKeys
+{
+    public const string OpenRouter = "OpenRouter";
+    public const string OpenAI = "OpenAI";
+    public const string Anthropic = "Anthropic";
+    public const string Gemini = "Gemini";
+    public const string AzureOpenAI = "AzureOpenAI";
+
+    public static readonly string[] All = { OpenRouter, OpenAI, Anthropic, Gemini, AzureOpenAI };
+}
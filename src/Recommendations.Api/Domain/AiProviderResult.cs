@@ -3,6 +3,9 @@ namespace Recommendations.Api.Domain;
 public record AiProviderResult
 {
     public string ProviderName { get; init; } = string.Empty;
+
+    /// <summary>One of <see cref="AiProviderKeys"/>; set by ParallelGenerationStep.</summary>
+    public string ProviderKey { get; init; } = string.Empty;
     public bool Success { get; init; }
     public string? ErrorMessage { get; init; }
     public List<PlaceRecommendation> Recommendations { get; init; } = new();
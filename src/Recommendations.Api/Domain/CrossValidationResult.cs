@@ -14,4 +14,7 @@ public record ValidatedRecommendation
     public string? ValidatorComment { get; init; }
     public bool FlaggedAsInaccurate { get; init; }
     public bool FlaggedAsOutOfRange { get; init; }
+
+    /// <summary>The validator didn't mention this place; the score is the neutral default.</summary>
+    public bool NotReviewed { get; init; }
 }
@@ -18,6 +18,9 @@ public record PlaceRecommendation
     public string? WhyRecommended { get; init; }
     public int AgreementCount { get; init; }
 
+    /// <summary>Set by ConsensusScoringStep; null on a provider's raw output.</summary>
+    public RecommendationProvenance? Provenance { get; init; }
+
     public PlaceRecommendation WithEnrichedData(Place place) =>
         this with { EnrichedPlaceData = place };
 
@@ -0,0 +1,43 @@
+namespace Recommendations.Api.Domain;
+
+/// <summary>
+/// Body of <c>POST /api/providers/test</c>. Empty fields fall back to the server's
+/// configuration, exactly as <see cref="RecommendationRequest.UserApiKeys"/> does.
+/// </summary>
+public record ProviderTestRequest
+{
+    /// <summary>"OpenRouter", "OpenAI", "Anthropic", "Gemini" or "AzureOpenAI".</summary>
+    public string Provider { get; init; } = string.Empty;
+    public string? ApiKey { get; init; }
+
+    /// <summary>Azure OpenAI resource endpoint; ignored for other providers.</summary>
+    public string? Endpoint { get; init; }
+    public string? Model { get; init; }
+}
+
+public record ProviderTestResult
+{
+    public string Provider { get; init; } = string.Empty;
+    public string Model { get; init; } = string.Empty;
+    public bool Ok { get; init; }
+
+    /// <summary>One of <see cref="ProviderTestOutcome"/>.</summary>
+    public string Outcome { get; init; } = ProviderTestOutcome.Ok;
+    public string Message { get; init; } = string.Empty;
+    public long LatencyMs { get; init; }
+}
+
+/// <summary>Outcome keys — the settings modal in wwwroot/js/app.js switches on these.</summary>
+public static class ProviderTestOutcome
+{
+    public const string Ok = "ok";
+    public const string MissingKey = "missing_key";
+    public const string InvalidKey = "invalid_key";
+    public const string ModelNotFound = "model_not_found";
+    public const string RateLimited = "rate_limited";
+    public const string NoOutput = "no_output";
+    public const string NoJson = "no_json";
+    public const string Timeout = "timeout";
+    public const string Unreachable = "unreachable";
+    public const string Error = "error";
+}
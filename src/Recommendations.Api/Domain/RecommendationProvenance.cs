@@ -0,0 +1,60 @@
+namespace Recommendations.Api.Domain;
+
+/// <summary>
+/// How a recommendation was arrived at: which providers proposed it, what the
+/// cross-validators said about it and how <c>ConsensusScoringStep</c> built its score.
+/// Shown in the card's provenance section in wwwroot/js/app.js.
+/// </summary>
+public record RecommendationProvenance
+{
+    public List<ProviderProposal> Proposals { get; init; } = new();
+    public List<ValidationVerdict> Verdicts { get; init; } = new();
+    public ScoreBreakdown Score { get; init; } = new();
+}
+
+/// <summary>One provider's version of the place, before consensus merged and synthesis rewrote it.</summary>
+public record ProviderProposal
+{
+    public string Provider { get; init; } = string.Empty;
+    public string Name { get; init; } = string.Empty;
+    public string Description { get; init; } = string.Empty;
+    public double ConfidenceScore { get; init; }
+
+    /// <summary>Consensus-scoring weight the provider carried (1 unless the search set weights).</summary>
+    public double Weight { get; init; } = 1.0;
+}
+
+public record ValidationVerdict
+{
+    public string ValidatedBy { get; init; } = string.Empty;
+
+    /// <summary>The provider whose proposal was being checked.</summary>
+    public string OriginalSource { get; init; } = string.Empty;
+    public double ValidationScore { get; init; }
+    public string? Comment { get; init; }
+    public bool FlaggedAsInaccurate { get; init; }
+    public bool FlaggedAsOutOfRange { get; init; }
+
+    /// <summary>The validator's reply left this place out, so it was given the neutral default score.</summary>
+    public bool NotReviewed { get; init; }
+}
+
+/// <summary>
+/// The inputs to the final score:
+/// <c>BaseScore × 0.4 + ValidationScore × 0.35 + AgreementBonus + RealPlaceBonus + RatingBonus − FlagPenalty</c>,
+/// clamped to 0–1.
+/// </summary>
+public record ScoreBreakdown
+{
+    /// <summary>Weighted average of the proposing providers' own confidence.</summary>
+    public double BaseScore { get; init; }
+
+    /// <summary>Average cross-validation score, or <see cref="BaseScore"/> when nothing validated the place.</summary>
+    public double ValidationScore { get; init; }
+    public bool Validated { get; init; }
+    public double AgreementBonus { get; init; }
+    public double RealPlaceBonus { get; init; }
+    public double RatingBonus { get; init; }
+    public double FlagPenalty { get; init; }
+    public double FinalScore { get; init; }
+}
@@ -26,6 +26,34 @@ public record RecommendationRequest
     /// </summary>
     public Dictionary<string, string>? UserApiKeys { get; init; }
 
+    /// <summary>
+    /// Optional subset of providers to run, by <see cref="AiProviderKeys"/> key.
+    /// Null or empty means every available provider.
+    /// </summary>
+    public List<string>? Providers { get; init; }
+
+    /// <summary>Provider key that should write the final descriptions; null picks the fastest successful provider.</summary>
+    public string? Synthesizer { get; init; }
+
+    /// <summary>
+    /// Optional consensus-scoring weights by provider key (0.1–5, default 1). A place named by a
+    /// provider weighted 2 counts as much as two providers agreeing on it.
+    /// </summary>
+    public Dictionary<string, double>? ProviderWeights { get; init; }
+
+    /// <summary>True when the search changes which providers run or how they're weighed — such results aren't cached.</summary>
+    public bool HasProviderOverrides =>
+        Providers is { Count: > 0 } || !string.IsNullOrWhiteSpace(Synthesizer) || ProviderWeights is { Count: > 0 };
+
+    public double WeightOf(string providerKey)
+    {
+        var weight = ProviderWeights?
+            .Where(w => string.Equals(w.Key, providerKey, StringComparison.OrdinalIgnoreCase))
+            .Select(w => w.Value)
+            .FirstOrDefault() ?? 0;
+        return weight > 0 ? weight : 1.0;
+    }
+
     /// <summary>The resolved category list: Categories (if set) else [Category].</summary>
     public IReadOnlyList<PlaceCategory> EffectiveCategories =>
         Categories is { Count: > 0 } ? Categories : new[] { Category };
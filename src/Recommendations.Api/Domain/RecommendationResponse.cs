@@ -9,6 +9,7 @@ public record RecommendationResponse
     public string? ResolvedAddress { get; init; }
     public PlaceCategory Category { get; init; }
     public List<PlaceCategory> Categories { get; init; } = new();
+    public int RadiusMeters { get; init; }
     public List<PlaceRecommendation> Recommendations { get; init; } = new();
     public PipelineMetadata Metadata { get; init; } = new();
     public bool FromCache { get; init; }
@@ -23,4 +24,28 @@ public record PipelineMetadata
     public int TotalCandidatesEvaluated { get; init; }
     public string TotalElapsed { get; init; } = string.Empty;
     public string SynthesizedBy { get; init; } = string.Empty;
+
+    // Per-search provider choices (see RecommendationRequest); null when the search used the defaults
+    public List<string>? ProvidersSelected { get; init; }
+    public string? SynthesizerRequested { get; init; }
+
+    /// <summary>Weight each successful provider carried in consensus scoring, by display name.</summary>
+    public Dictionary<string, double>? ProviderWeights { get; init; }
+
+    /// <summary>One row per provider that ran generation, failed ones included.</summary>
+    public List<ProviderRunSummary> ProviderRuns { get; init; } = new();
+}
+
+public record ProviderRunSummary
+{
+    public string Provider { get; init; } = string.Empty;
+    public bool Success { get; init; }
+    public long LatencyMs { get; init; }
+
+    /// <summary>Places the provider proposed.</summary>
+    public int Candidates { get; init; }
+
+    /// <summary>Final recommendations the provider proposed (per <see cref="PlaceRecommendation.Provenance"/>).</summary>
+    public int InFinalResults { get; init; }
+    public string? Error { get; init; }
 }
@@ -168,6 +168,13 @@ public abstract class AiProviderBase
         return results;
     }
 
+    /// <summary>
+    /// True when <paramref name="raw"/> yields at least one place through the same parsing
+    /// a generation reply gets — lets the provider test catch models whose output searches can't use.
+    /// </summary>
+    public static bool ParsesAsRecommendations(string raw) =>
+        ParseGenerationJson(raw, string.Empty, PlaceCategory.All).Count > 0;
+
     protected static CrossValidationResult ParseValidationJson(string raw, string validatedBy, string originalSource, IReadOnlyList<PlaceRecommendation> originals)
     {
         var json = SanitizeJson(ExtractJson(raw));
@@ -214,7 +221,8 @@ public abstract class AiProviderBase
                     Original = original,
                     ValidationScore = 0.5,
                     FlaggedAsInaccurate = false,
-                    FlaggedAsOutOfRange = false
+                    FlaggedAsOutOfRange = false,
+                    NotReviewed = true
                 });
             }
         }
@@ -15,6 +15,7 @@ public class AnthropicProvider : AiProviderBase, IAiProvider
     private readonly AnthropicOptions _options;
     private readonly ILogger<AnthropicProvider> _logger;
 
+    public string Key => AiProviderKeys.Anthropic;
     public string Name => "Claude";
     public string Model => UserApiKeyContext.GetEffectiveModel("AnthropicModel", _options.Model);
     public bool IsAvailable => UserApiKeyContext.HasEffectiveKey("Anthropic", _options.ApiKey)
@@ -146,4 +147,19 @@ public class AnthropicProvider : AiProviderBase, IAiProvider
             };
         }
     }
+
+    public async Task<string> CompleteAsync(string prompt, CancellationToken ct = default)
+    {
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        cts.CancelAfter(TimeSpan.FromSeconds(_options.TimeoutSeconds));
+
+        var response = await CreateClient().Messages.GetClaudeMessageAsync(new MessageParameters
+        {
+            Model = UserApiKeyContext.GetEffectiveModel("AnthropicModel", _options.Model),
+            MaxTokens = _options.MaxTokens,
+            Messages = new List<Message> { new() { Role = RoleType.User, Content = new List<ContentBase> { new TextContent { Text = prompt } } } }
+        }, cts.Token);
+
+        return (response.Content.FirstOrDefault() as TextContent)?.Text ?? string.Empty;
+    }
 }
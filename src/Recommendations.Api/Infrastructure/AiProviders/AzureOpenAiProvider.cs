@@ -15,6 +15,7 @@ public class AzureOpenAiProvider : AiProviderBase, IAiProvider
     private readonly AzureOpenAiOptions _options;
     private readonly ILogger<AzureOpenAiProvider> _logger;
 
+    public string Key => AiProviderKeys.AzureOpenAI;
     public string Name => "Azure OpenAI";
     public string Model => UserApiKeyContext.GetEffectiveModel("AzureOpenAIModel", _options.DeploymentName);
     public bool IsAvailable =>
@@ -147,4 +148,17 @@ public class AzureOpenAiProvider : AiProviderBase, IAiProvider
             };
         }
     }
+
+    public async Task<string> CompleteAsync(string prompt, CancellationToken ct = default)
+    {
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        cts.CancelAfter(TimeSpan.FromSeconds(_options.TimeoutSeconds));
+
+        var completion = await CreateClient().CompleteChatAsync(
+            new[] { ChatMessage.CreateUserMessage(prompt) },
+            cancellationToken: cts.Token);
+
+        // Reasoning deployments can spend the whole budget thinking and return no content parts
+        return completion.Value.Content.FirstOrDefault()?.Text ?? string.Empty;
+    }
 }
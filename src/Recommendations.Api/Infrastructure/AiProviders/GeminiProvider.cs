@@ -14,6 +14,7 @@ public class GeminiProvider : AiProviderBase, IAiProvider
     private readonly GeminiOptions _options;
     private readonly ILogger<GeminiProvider> _logger;
 
+    public string Key => AiProviderKeys.Gemini;
     public string Name => "Google Gemini";
     public string Model => UserApiKeyContext.GetEffectiveModel("GeminiModel", _options.Model);
     public bool IsAvailable => UserApiKeyContext.HasEffectiveKey("Gemini", _options.ApiKey)
@@ -133,4 +134,13 @@ public class GeminiProvider : AiProviderBase, IAiProvider
             };
         }
     }
+
+    public async Task<string> CompleteAsync(string prompt, CancellationToken ct = default)
+    {
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        cts.CancelAfter(TimeSpan.FromSeconds(_options.TimeoutSeconds));
+
+        var response = await CreateModel().GenerateContent(prompt, cancellationToken: cts.Token);
+        return response?.Text ?? string.Empty;
+    }
 }
@@ -15,6 +15,7 @@ public class OpenAiProvider : AiProviderBase, IAiProvider
     private readonly OpenAiOptions _options;
     private readonly ILogger<OpenAiProvider> _logger;
 
+    public string Key => AiProviderKeys.OpenAI;
     public string Name => "OpenAI GPT-4";
     public string Model => UserApiKeyContext.GetEffectiveModel("OpenAIModel", _options.Model);
     public bool IsAvailable => UserApiKeyContext.HasEffectiveKey("OpenAI", _options.ApiKey)
@@ -143,4 +144,18 @@ public class OpenAiProvider : AiProviderBase, IAiProvider
             };
         }
     }
+
+    public async Task<string> CompleteAsync(string prompt, CancellationToken ct = default)
+    {
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        cts.CancelAfter(TimeSpan.FromSeconds(_options.TimeoutSeconds));
+
+        var completion = await CreateClient().CompleteChatAsync(
+            new[] { ChatMessage.CreateUserMessage(prompt) },
+            new ChatCompletionOptions { MaxOutputTokenCount = _options.MaxTokens },
+            cts.Token);
+
+        // Reasoning models can spend the whole budget thinking and return no content parts
+        return completion.Value.Content.FirstOrDefault()?.Text ?? string.Empty;
+    }
 }
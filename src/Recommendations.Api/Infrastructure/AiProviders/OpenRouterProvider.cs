@@ -24,6 +24,7 @@ public class OpenRouterProvider : AiProviderBase, IAiProvider
     private readonly IHttpClientFactory _httpFactory;
     private readonly ILogger<OpenRouterProvider> _logger;
 
+    public string Key => AiProviderKeys.OpenRouter;
     public string Name => "OpenRouter (" + UserApiKeyContext.GetEffectiveModel("OpenRouterModel", _options.Model) + ")";
     public string Model => UserApiKeyContext.GetEffectiveModel("OpenRouterModel", _options.Model);
     public bool IsAvailable => UserApiKeyContext.HasEffectiveKey("OpenRouter", _options.ApiKey)
@@ -159,6 +160,9 @@ public class OpenRouterProvider : AiProviderBase, IAiProvider
         }
     }
 
+    public Task<string> CompleteAsync(string prompt, CancellationToken ct = default) =>
+        CallChatAsync(prompt, ct);
+
     private async Task<string> CallChatAsync(string userPrompt, CancellationToken ct)
     {
         using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
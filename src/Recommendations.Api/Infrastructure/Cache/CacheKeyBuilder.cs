@@ -25,6 +25,10 @@ public static class CacheKeyBuilder
         return $"rec:{Version}:{lat:F3}:{lng:F3}:{catPart}";
     }
 
+    /// <summary>The category names encoded in the last segment of a key ("Cafe+Museum" → [Cafe, Museum]).</summary>
+    public static List<string> CategoriesOf(string cacheKey) =>
+        cacheKey[(cacheKey.LastIndexOf(':') + 1)..].Split('+', StringSplitOptions.RemoveEmptyEntries).ToList();
+
     public static string BuildFromAddress(string address, PlaceCategory category)
     {
         var normalized = address.ToLowerInvariant().Trim();
@@ -49,6 +49,53 @@ public class SqliteCacheService : ICacheService
         }
     }
 
+    public async Task<RecommendationResponse?> PeekAsync(string cacheKey, CancellationToken ct = default)
+    {
+        var now = DateTime.UtcNow;
+        var json = await _db.CachedRecommendations
+            .AsNoTracking()
+            .Where(x => x.CacheKey == cacheKey && x.ExpiresAt > now)
+            .Select(x => x.ResponseJson)
+            .FirstOrDefaultAsync(ct);
+
+        if (json is null)
+            return null;
+
+        try
+        {
+            return JsonSerializer.Deserialize<RecommendationResponse>(json, JsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "Failed to deserialize cached response for key {Key}", cacheKey);
+            return null;
+        }
+    }
+
+    public async Task<IReadOnlyList<CacheEntryInfo>> ListEntriesAsync(CancellationToken ct = default)
+    {
+        var now = DateTime.UtcNow;
+        var entries = await _db.CachedRecommendations
+            .AsNoTracking()
+            .Where(x => x.ExpiresAt > now)
+            .OrderByDescending(x => x.CreatedAt)
+            .Select(x => new { x.CacheKey, x.Latitude, x.Longitude, x.CreatedAt, x.ExpiresAt, x.HitCount })
+            .ToListAsync(ct);
+
+        return entries
+            .Select(x => new CacheEntryInfo
+            {
+                CacheKey = x.CacheKey,
+                Latitude = x.Latitude,
+                Longitude = x.Longitude,
+                Categories = CacheKeyBuilder.CategoriesOf(x.CacheKey),
+                CreatedAt = x.CreatedAt,
+                ExpiresAt = x.ExpiresAt,
+                HitCount = x.HitCount
+            })
+            .ToList();
+    }
+
     public async Task SetAsync(string cacheKey, RecommendationResponse response, TimeSpan ttl, CancellationToken ct = default)
     {
         var json = JsonSerializer.Serialize(response, JsonOptions);
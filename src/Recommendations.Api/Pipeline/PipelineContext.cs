@@ -1,4 +1,5 @@
 using System.Diagnostics;
+using Recommendations.Api.Abstractions;
 using Recommendations.Api.Domain;
 
 namespace Recommendations.Api.Pipeline;
@@ -20,6 +21,7 @@ public class PipelineContext
 
     // After ParallelGenerationStep
     public List<AiProviderResult> GenerationResults { get; set; } = new();
+    public List<AiProviderResult> GenerationAttempts { get; set; } = new(); // failed providers too (PipelineMetadata.ProviderRuns)
 
     // After GooglePlacesEnrichmentStep
     public List<Place> RealPlaces { get; set; } = new();
@@ -38,4 +40,33 @@ public class PipelineContext
     // Metadata tracking
     public List<string> FailedProviders { get; set; } = new();
     public Stopwatch Stopwatch { get; } = Stopwatch.StartNew();
+
+    // Progress reporting — null unless the caller streams progress (see PipelineProgressEvent)
+    public Action<PipelineProgressEvent>? OnProgress { get; init; }
+    public HashSet<string> SkippedSteps { get; } = new();
+
+    public void ReportProgress(string step, string status, string? provider = null, string? message = null) =>
+        OnProgress?.Invoke(new PipelineProgressEvent
+        {
+            Step = step,
+            Status = status,
+            Provider = provider,
+            Message = message,
+            ElapsedMs = Stopwatch.ElapsedMilliseconds
+        });
+
+    /// <summary>Available providers, narrowed to <see cref="RecommendationRequest.Providers"/> when the search names some.</summary>
+    public List<IAiProvider> SelectProviders(IEnumerable<IAiProvider> providers) =>
+        providers
+            .Where(p => p.IsAvailable)
+            .Where(p => Request.Providers is not { Count: > 0 }
+                || Request.Providers.Contains(p.Key, StringComparer.OrdinalIgnoreCase))
+            .ToList();
+
+    /// <summary>Called by a step that decides not to run; the orchestrator then won't report it as done.</summary>
+    public void SkipStep(string step, string reason)
+    {
+        SkippedSteps.Add(step);
+        ReportProgress(step, PipelineStepStatus.Skipped, message: reason);
+    }
 }
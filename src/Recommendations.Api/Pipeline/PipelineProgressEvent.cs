@@ -0,0 +1,42 @@
+namespace Recommendations.Api.Pipeline;
+
+/// <summary>
+/// A single pipeline progress update, streamed to the client as one NDJSON line
+/// by <c>POST /api/recommendations/stream</c>.
+/// Step-level events leave <see cref="Provider"/> null; per-provider events during
+/// generation carry the provider name.
+/// </summary>
+public record PipelineProgressEvent
+{
+    public string Type { get; init; } = "progress";
+    public string Step { get; init; } = string.Empty;
+    public string Status { get; init; } = string.Empty;
+    public string? Provider { get; init; }
+    public string? Message { get; init; }
+    public long ElapsedMs { get; init; }
+}
+
+/// <summary>Step keys — match <c>pipelineSteps</c> in wwwroot/js/app.js.</summary>
+public static class PipelineSteps
+{
+    public const string Geocode = "geocode";
+    public const string Cache = "cache";
+    public const string Generate = "generate";
+    public const string Enrich = "enrich";
+    public const string Validate = "validate";
+    public const string Score = "score";
+    public const string Synthesize = "synthesize";
+    public const string CacheWrite = "cache_write";
+
+    /// <summary>Steps that never run when the response is served from cache.</summary>
+    public static readonly string[] AfterCacheCheck =
+        { Generate, Enrich, Validate, Score, Synthesize, CacheWrite };
+}
+
+public static class PipelineStepStatus
+{
+    public const string Running = "running";
+    public const string Done = "done";
+    public const string Skipped = "skipped";
+    public const string Failed = "failed";
+}
@@ -40,12 +40,13 @@ public class RecommendationOrchestrator
     }
 
     public async Task<RecommendationResponse> GetRecommendationsAsync(
-        RecommendationRequest request, CancellationToken ct = default)
+        RecommendationRequest request, CancellationToken ct = default,
+        Action<PipelineProgressEvent>? onProgress = null)
     {
         // Apply per-request user API key + model overrides for this async execution context
         UserApiKeyContext.Set(request.UserApiKeys);
 
-        var ctx = new PipelineContext { Request = request };
+        var ctx = new PipelineContext { Request = request, OnProgress = onProgress };
 
         _logger.LogInformation("Starting recommendation pipeline for request: {Category} at ({Lat},{Lng}) / '{Address}'",
             string.Join("+", request.EffectiveCategories), request.Latitude, request.Longitude, request.Address);
@@ -55,36 +56,47 @@ public class RecommendationOrchestrator
             request.UserApiKeys?.Count ?? 0);
 
         // Step 1: Geocode
-        await _geocodeStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.Geocode, () => _geocodeStep.ExecuteAsync(ctx, ct),
+            () => ctx.ResolvedAddress);
 
         // Step 2: Cache check
-        await _cacheCheckStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.Cache, () => _cacheCheckStep.ExecuteAsync(ctx, ct),
+            () => ctx.CacheHit ? "Cache hit"
+                : request.ForceRefresh ? "Bypassed (force refresh)"
+                : request.HasProviderOverrides ? "Bypassed (custom provider selection)"
+                : "Cache miss");
         if (ctx.CacheHit && ctx.CachedResponse is not null)
         {
             _logger.LogInformation("Returning cached response for key {Key}", ctx.CacheKey);
-            return ctx.CachedResponse with { FromCache = true };
+            foreach (var step in PipelineSteps.AfterCacheCheck)
+                ctx.SkipStep(step, "Served from cache");
+            return ctx.CachedResponse with { FromCache = true, RadiusMeters = request.RadiusMeters };
         }
 
         // Step 3: Parallel AI generation
-        await _parallelGenerationStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.Generate, () => _parallelGenerationStep.ExecuteAsync(ctx, ct),
+            () => $"{ctx.GenerationResults.Count}/{ctx.GenerationResults.Count + ctx.FailedProviders.Count} providers succeeded");
 
         // Step 4: Google Places enrichment
-        await _googleEnrichmentStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.Enrich, () => _googleEnrichmentStep.ExecuteAsync(ctx, ct),
+            () => $"{ctx.RealPlaces.Count} real places found");
 
         // Step 5: Cross-validation
-        await _crossValidationStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.Validate, () => _crossValidationStep.ExecuteAsync(ctx, ct));
 
         // Step 6: Consensus scoring
-        await _consensusScoringStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.Score, () => _consensusScoringStep.ExecuteAsync(ctx, ct),
+            () => $"{ctx.ScoredCandidates.Count} ranked candidates");
 
         // Step 7: Synthesis
-        await _synthesisStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.Synthesize, () => _synthesisStep.ExecuteAsync(ctx, ct),
+            () => ctx.SynthesizedBy);
 
         // Build final response
         ctx.FinalResponse = BuildResponse(ctx);
 
         // Step 8: Cache write (fire-and-forget)
-        await _cacheWriteStep.ExecuteAsync(ctx, ct);
+        await RunStepAsync(ctx, PipelineSteps.CacheWrite, () => _cacheWriteStep.ExecuteAsync(ctx, ct));
 
         _logger.LogInformation("Pipeline complete in {Ms}ms: {Count} recommendations",
             ctx.Stopwatch.ElapsedMilliseconds, ctx.FinalResponse.Recommendations.Count);
@@ -92,6 +104,26 @@ public class RecommendationOrchestrator
         return ctx.FinalResponse;
     }
 
+    // Wraps a step with running/done/failed progress events. Steps that bail out early
+    // report themselves via ctx.SkipStep, in which case no "done" event is sent.
+    private static async Task RunStepAsync(
+        PipelineContext ctx, string step, Func<Task> execute, Func<string?>? doneMessage = null)
+    {
+        ctx.ReportProgress(step, PipelineStepStatus.Running);
+        try
+        {
+            await execute();
+        }
+        catch (Exception ex)
+        {
+            ctx.ReportProgress(step, PipelineStepStatus.Failed, message: ex.Message);
+            throw;
+        }
+
+        if (!ctx.SkippedSteps.Contains(step))
+            ctx.ReportProgress(step, PipelineStepStatus.Done, message: doneMessage?.Invoke());
+    }
+
     private static RecommendationResponse BuildResponse(PipelineContext ctx)
     {
         var elapsed = ctx.Stopwatch.Elapsed;
@@ -104,6 +136,7 @@ public class RecommendationOrchestrator
             ResolvedAddress = ctx.ResolvedAddress,
             Category = ctx.Request.EffectiveCategories.Count == 1 ? ctx.Request.EffectiveCategories[0] : PlaceCategory.All,
             Categories = ctx.Request.EffectiveCategories.ToList(),
+            RadiusMeters = ctx.Request.RadiusMeters,
             Recommendations = ctx.ScoredCandidates,
             FromCache = false,
             GeneratedAt = DateTimeOffset.UtcNow,
@@ -114,7 +147,22 @@ public class RecommendationOrchestrator
                 GooglePlacesEnriched = ctx.GoogleEnriched,
                 TotalCandidatesEvaluated = allCandidates,
                 TotalElapsed = elapsed.ToString(@"mm\:ss\.fff"),
-                SynthesizedBy = ctx.SynthesizedBy
+                SynthesizedBy = ctx.SynthesizedBy,
+                ProvidersSelected = ctx.Request.Providers is { Count: > 0 } ? ctx.Request.Providers : null,
+                SynthesizerRequested = string.IsNullOrWhiteSpace(ctx.Request.Synthesizer) ? null : ctx.Request.Synthesizer,
+                ProviderWeights = ctx.Request.ProviderWeights is { Count: > 0 }
+                    ? ctx.GenerationResults.Where(r => r.Success).ToDictionary(r => r.ProviderName, r => ctx.Request.WeightOf(r.ProviderKey))
+                    : null,
+                ProviderRuns = ctx.GenerationAttempts.Select(r => new ProviderRunSummary
+                {
+                    Provider = r.ProviderName,
+                    Success = r.Success && r.Recommendations.Count > 0,
+                    LatencyMs = (long)r.Elapsed.TotalMilliseconds,
+                    Candidates = r.Recommendations.Count,
+                    InFinalResults = ctx.ScoredCandidates.Count(c =>
+                        c.Provenance?.Proposals.Any(p => p.Provider == r.ProviderName) == true),
+                    Error = r.ErrorMessage
+                }).ToList()
             }
         };
     }
@@ -35,6 +35,13 @@ public class CacheCheckStep
             return;
         }
 
+        // The cache holds all-provider results; a hand-picked provider mix must run fresh
+        if (ctx.Request.HasProviderOverrides)
+        {
+            _logger.LogInformation("Custom provider selection, skipping cache for key {Key}", key);
+            return;
+        }
+
         var cached = await _cache.GetAsync(key, ct);
         if (cached is not null)
         {
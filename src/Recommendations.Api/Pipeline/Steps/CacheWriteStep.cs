@@ -22,6 +22,13 @@ public class CacheWriteStep
         if (ctx.FinalResponse is null || ctx.CacheKey is null)
             return;
 
+        // Don't let a hand-picked provider mix stand in for the all-provider result at this key
+        if (ctx.Request.HasProviderOverrides)
+        {
+            ctx.SkipStep(PipelineSteps.CacheWrite, "Custom provider selection isn't cached");
+            return;
+        }
+
         var ttl = TimeSpan.FromHours(_options.DefaultTtlHours);
 
         try
@@ -33,6 +33,12 @@ public class ConsensusScoringStep
         _logger.LogInformation("Scoring {Unique} unique candidates from {Total} total recommendations",
             groups.Count, allRecs.Count);
 
+        // Provider weights by display name (recommendations carry the name as SourceProvider); all 1 unless the search set them
+        var weights = ctx.GenerationResults
+            .GroupBy(r => r.ProviderName)
+            .ToDictionary(g => g.Key, g => ctx.Request.WeightOf(g.First().ProviderKey));
+        double WeightOf(PlaceRecommendation r) => weights.GetValueOrDefault(r.SourceProvider, 1.0);
+
         var scored = new List<PlaceRecommendation>();
 
         foreach (var group in groups)
@@ -40,26 +46,28 @@ public class ConsensusScoringStep
             var recs = group.ToList();
             var representativeRec = recs.OrderByDescending(r => r.ConfidenceScore).First();
 
-            // Base score: average of original confidence scores
-            var baseScore = recs.Average(r => r.ConfidenceScore);
+            // Base score: weighted average of original confidence scores
+            var totalWeight = recs.Sum(WeightOf);
+            var baseScore = recs.Sum(r => r.ConfidenceScore * WeightOf(r)) / totalWeight;
 
-            // Agreement bonus: +0.05 per additional AI that mentioned it, max +0.20
+            // Agreement bonus: +0.05 per additional (weighted) AI that mentioned it, between 0 and +0.20
             var agreementCount = recs.Count;
-            var agreementBonus = Math.Min((agreementCount - 1) * 0.05, 0.20);
+            var agreementBonus = Math.Clamp((totalWeight - 1) * 0.05, 0.0, 0.20);
 
             // Validation score: average from cross-validations targeting this place
+            // (kept with who validated whom, for the provenance section)
             var validationScores = ctx.ValidationResults
-                .SelectMany(vr => vr.ValidatedItems)
-                .Where(vi => string.Equals(Normalize(vi.Original.Name), group.Key, StringComparison.OrdinalIgnoreCase))
+                .SelectMany(vr => vr.ValidatedItems.Select(vi => (vr.ValidatedBy, vr.OriginalSource, Item: vi)))
+                .Where(v => string.Equals(Normalize(v.Item.Original.Name), group.Key, StringComparison.OrdinalIgnoreCase))
                 .ToList();
 
             var validationScore = validationScores.Count > 0
-                ? validationScores.Average(v => v.ValidationScore)
+                ? validationScores.Average(v => v.Item.ValidationScore)
                 : baseScore;
 
             // Flag penalties
-            var inaccurateFlags = validationScores.Count(v => v.FlaggedAsInaccurate);
-            var outOfRangeFlags = validationScores.Count(v => v.FlaggedAsOutOfRange);
+            var inaccurateFlags = validationScores.Count(v => v.Item.FlaggedAsInaccurate);
+            var outOfRangeFlags = validationScores.Count(v => v.Item.FlaggedAsOutOfRange);
             var flagPenalty = inaccurateFlags * 0.20 + outOfRangeFlags * 0.30;
 
             // Real place bonuses
@@ -75,6 +83,39 @@ public class ConsensusScoringStep
 
             var level = ScoreToLevel(finalScore);
 
+            var provenance = new RecommendationProvenance
+            {
+                Proposals = recs.Select(r => new ProviderProposal
+                {
+                    Provider = r.SourceProvider,
+                    Name = r.Name,
+                    Description = r.Description,
+                    ConfidenceScore = r.ConfidenceScore,
+                    Weight = WeightOf(r)
+                }).ToList(),
+                Verdicts = validationScores.Select(v => new ValidationVerdict
+                {
+                    ValidatedBy = v.ValidatedBy,
+                    OriginalSource = v.OriginalSource,
+                    ValidationScore = v.Item.ValidationScore,
+                    Comment = v.Item.ValidatorComment,
+                    FlaggedAsInaccurate = v.Item.FlaggedAsInaccurate,
+                    FlaggedAsOutOfRange = v.Item.FlaggedAsOutOfRange,
+                    NotReviewed = v.Item.NotReviewed
+                }).ToList(),
+                Score = new ScoreBreakdown
+                {
+                    BaseScore = Math.Round(baseScore, 3),
+                    ValidationScore = Math.Round(validationScore, 3),
+                    Validated = validationScores.Count > 0,
+                    AgreementBonus = Math.Round(agreementBonus, 3),
+                    RealPlaceBonus = realPlaceBonus,
+                    RatingBonus = Math.Round(ratingBonus, 3),
+                    FlagPenalty = Math.Round(flagPenalty, 3),
+                    FinalScore = Math.Round(finalScore, 3)
+                }
+            };
+
             // Merge highlights from all providers
             var mergedHighlights = recs
                 .SelectMany(r => r.Highlights)
@@ -93,7 +134,8 @@ public class ConsensusScoringStep
                 AgreementCount = agreementCount,
                 Highlights = mergedHighlights,
                 Description = bestDescription,
-                WhyRecommended = bestWhy
+                WhyRecommended = bestWhy,
+                Provenance = provenance
             });
         }
 
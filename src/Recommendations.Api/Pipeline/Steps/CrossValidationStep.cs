@@ -15,12 +15,13 @@ public class CrossValidationStep
 
     public async Task ExecuteAsync(PipelineContext ctx, CancellationToken ct = default)
     {
-        var availableProviders = _providers.Where(p => p.IsAvailable).ToList();
+        var availableProviders = ctx.SelectProviders(_providers);
         var successfulResults = ctx.GenerationResults.Where(r => r.Success).ToList();
 
         if (successfulResults.Count <= 1)
         {
             _logger.LogInformation("Only {Count} successful provider(s), skipping cross-validation", successfulResults.Count);
+            ctx.SkipStep(PipelineSteps.Validate, "Needs at least two successful providers");
             return;
         }
 
@@ -19,6 +19,7 @@ public class GooglePlacesEnrichmentStep
         {
             _logger.LogWarning("Google Places API not available, skipping enrichment");
             ctx.GoogleEnriched = false;
+            ctx.SkipStep(PipelineSteps.Enrich, "Places provider not available");
             return;
         }
 
@@ -26,6 +27,7 @@ public class GooglePlacesEnrichmentStep
         {
             _logger.LogInformation("Geocoding unavailable, skipping Google Places enrichment");
             ctx.GoogleEnriched = false;
+            ctx.SkipStep(PipelineSteps.Enrich, "Location could not be geocoded");
             return;
         }
 
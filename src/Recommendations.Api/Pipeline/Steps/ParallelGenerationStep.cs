@@ -1,3 +1,4 @@
+using System.Diagnostics;
 using Recommendations.Api.Abstractions;
 
 namespace Recommendations.Api.Pipeline.Steps;
@@ -15,36 +16,59 @@ public class ParallelGenerationStep
 
     public async Task ExecuteAsync(PipelineContext ctx, CancellationToken ct = default)
     {
-        var available = _providers.Where(p => p.IsAvailable).ToList();
+        var available = ctx.SelectProviders(_providers);
         if (available.Count == 0)
-            throw new InvalidOperationException("No AI providers are configured or available.");
+        {
+            throw new InvalidOperationException(ctx.Request.Providers is { Count: > 0 }
+                ? $"None of the selected AI providers ({string.Join(", ", ctx.Request.Providers)}) are configured or available."
+                : "No AI providers are configured or available.");
+        }
 
         _logger.LogInformation("Running parallel generation with {Count} providers: {Names}",
             available.Count, string.Join(", ", available.Select(p => p.Name)));
 
+        foreach (var provider in available)
+            ctx.ReportProgress(PipelineSteps.Generate, PipelineStepStatus.Running, provider.Name);
+
         var tasks = available.Select(provider =>
             Task.Run(async () =>
             {
+                Domain.AiProviderResult result;
+                var sw = Stopwatch.StartNew();
                 try
                 {
-                    return await provider.GenerateRecommendationsAsync(
+                    result = await provider.GenerateRecommendationsAsync(
                         ctx.Latitude, ctx.Longitude,
                         ctx.Request.EffectiveCategories, ctx.ResolvedAddress, ct);
+                    result = result with { ProviderKey = provider.Key };
                 }
                 catch (Exception ex)
                 {
                     _logger.LogError(ex, "Provider {Name} threw during generation", provider.Name);
-                    return new Domain.AiProviderResult
+                    result = new Domain.AiProviderResult
                     {
                         ProviderName = provider.Name,
+                        ProviderKey = provider.Key,
                         Success = false,
-                        ErrorMessage = ex.Message
+                        ErrorMessage = ex.Message,
+                        Elapsed = sw.Elapsed
                     };
                 }
+
+                // Report each provider as soon as it finishes, not after Task.WhenAll
+                if (result.Success && result.Recommendations.Count > 0)
+                    ctx.ReportProgress(PipelineSteps.Generate, PipelineStepStatus.Done, result.ProviderName,
+                        $"{result.Recommendations.Count} recommendations in {result.Elapsed.TotalSeconds:F1}s");
+                else
+                    ctx.ReportProgress(PipelineSteps.Generate, PipelineStepStatus.Failed, result.ProviderName,
+                        result.ErrorMessage ?? "No recommendations returned");
+
+                return result;
             }, ct)
         );
 
         var results = await Task.WhenAll(tasks);
+        ctx.GenerationAttempts = results.ToList();
 
         foreach (var result in results)
         {
@@ -18,11 +18,19 @@ public class SynthesisStep
         if (ctx.ScoredCandidates.Count == 0)
         {
             _logger.LogWarning("No scored candidates to synthesize");
+            ctx.SkipStep(PipelineSteps.Synthesize, "No candidates to synthesize");
             return;
         }
 
-        // Choose best provider for synthesis: fastest successful one
-        var synthesizer = ctx.GenerationResults
+        // The synthesizer the search asked for, else the fastest successful provider
+        var requested = ctx.Request.Synthesizer;
+        var synthesizer = string.IsNullOrWhiteSpace(requested)
+            ? null
+            : ctx.SelectProviders(_providers).FirstOrDefault(p => string.Equals(p.Key, requested, StringComparison.OrdinalIgnoreCase));
+        if (synthesizer is null && !string.IsNullOrWhiteSpace(requested))
+            _logger.LogWarning("Requested synthesizer {Provider} is not available, picking the fastest provider", requested);
+
+        synthesizer ??= ctx.GenerationResults
             .Where(r => r.Success)
             .OrderBy(r => r.Elapsed)
             .Select(r => _providers.FirstOrDefault(p => p.Name == r.ProviderName && p.IsAvailable))
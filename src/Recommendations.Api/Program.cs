@@ -28,6 +28,7 @@ builder.Services.Configure<AiProviderOptions>(builder.Configuration.GetSection("
 builder.Services.Configure<GooglePlacesOptions>(builder.Configuration.GetSection("GooglePlaces"));
 builder.Services.Configure<CacheOptions>(builder.Configuration.GetSection("Cache"));
 builder.Services.Configure<NominatimOptions>(builder.Configuration.GetSection("Nominatim"));
+builder.Services.Configure<MapOptions>(builder.Configuration.GetSection("Map"));
 
 // EF Core + SQLite
 builder.Services.AddDbContext<RecommendationsDbContext>(opts =>
@@ -122,6 +123,8 @@ RecommendationEndpoints.Map(app);
 HealthEndpoints.Map(app);
 GeocodeEndpoints.Map(app);
 ModelsEndpoint.Map(app);
+ProviderTestEndpoint.Map(app);
+MapEndpoints.Map(app);
 
 app.MapFallbackToFile("index.html");
 
@@ -27,11 +27,22 @@ function toggleCategory(btn) {
       selectedCategories.add(value);
     }
   }
+  syncCategoryChips();
+}
+
+function syncCategoryChips() {
   document.querySelectorAll('.chip').forEach(c => {
     c.classList.toggle('active', selectedCategories.has(c.dataset.value));
   });
 }
 
+function setSelectedCategories(values) {
+  const known = new Set(Array.from(document.querySelectorAll('.chip'), c => c.dataset.value));
+  const valid = (values || []).filter(v => known.has(v) && v !== 'All');
+  selectedCategories = valid.length > 0 ? new Set(valid) : new Set(['All']);
+  syncCategoryChips();
+}
+
 function switchTab(tab, btn) {
   activeTab = tab;
   document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
@@ -41,6 +52,54 @@ function switchTab(tab, btn) {
   if (activeBtn) activeBtn.classList.add('active');
 }
 
+// ─── Form state ───────────────────────────────────────────────────────────────
+// Snapshot / restore of everything the search form holds (used by search history)
+
+function getFormState() {
+  const addressEl = document.getElementById('address');
+  const geolocated = activeTab === 'address' && addressEl.dataset.geolocated === 'true'
+    && geolocatedLat !== null && geolocatedLng !== null;
+  const lat = geolocated ? geolocatedLat : parseFloat(document.getElementById('lat').value);
+  const lng = geolocated ? geolocatedLng : parseFloat(document.getElementById('lng').value);
+  return {
+    tab: activeTab,
+    categories: Array.from(selectedCategories),
+    radius: parseInt(document.getElementById('radius').value, 10),
+    maxResults: parseInt(document.getElementById('maxResults').value, 10),
+    address: addressEl.value.trim(),
+    lat: Number.isFinite(lat) ? lat : null,
+    lng: Number.isFinite(lng) ? lng : null,
+    geolocated
+  };
+}
+
+function applyFormState(state) {
+  switchTab(state.tab === 'coords' ? 'coords' : 'address');
+  setSelectedCategories(state.categories);
+
+  const radiusEl = document.getElementById('radius');
+  if (state.radius) radiusEl.value = state.radius; // the range input clamps/snaps for us
+  document.getElementById('radiusLabel').textContent = radiusEl.value + 'm';
+
+  const maxEl = document.getElementById('maxResults');
+  if (selectHasValue(maxEl, String(state.maxResults))) maxEl.value = String(state.maxResults);
+
+  document.getElementById('lat').value = state.lat ?? '';
+  document.getElementById('lng').value = state.lng ?? '';
+
+  const addressEl = document.getElementById('address');
+  addressEl.value = state.address ?? '';
+  if (state.geolocated && state.lat !== null && state.lng !== null) {
+    addressEl.dataset.geolocated = 'true';
+    geolocatedLat = state.lat;
+    geolocatedLng = state.lng;
+  } else {
+    addressEl.dataset.geolocated = '';
+    geolocatedLat = null;
+    geolocatedLng = null;
+  }
+}
+
 async function loadProviderStatus() {
   try {
     const res = await fetch('/api/providers/status');
@@ -62,13 +121,21 @@ async function loadProviderStatus() {
       // Substitute user's model override if one is saved; fall back to server-reported model
       const displayName = resolveProviderDisplayName(p.name, savedSettings, p.model);
       const target = getProviderSettingsTarget(p.name);
-      const clickable = target ? `clickable" onclick="openSettingsForProvider('${target}')" title="Click to configure` : '';
+      // A failed Test in settings outranks "has a key"; a passed one adds its latency to the tooltip
+      const test = target ? providerTestFor(target, savedSettings) : null;
+      const state = test && !test.ok ? 'failing' : available ? 'active' : 'inactive';
+      const title = test ? `${test.ok ? '✓' : '⚠'} ${test.model}: ${test.message}` : target ? 'Click to configure' : '';
+      const clickable = target ? ` clickable" onclick="openSettingsForProvider('${target}')` : '';
       return `
-        <div class="provider-dot ${available ? 'active' : 'inactive'} ${clickable}">
+        <div class="provider-dot ${state}${clickable}"${title ? ` title="${escHtml(title)}"` : ''}>
           <span class="dot"></span>
           <span>${displayName}${!p.available && available ? ' ✓' : ''}</span>
         </div>`;
     }).join('');
+
+    renderProviderPicker(data.providers
+      .filter(p => p.available || hasUserKeyForProvider(p.name, savedSettings))
+      .map(p => ({ key: p.key, name: resolveProviderDisplayName(p.name, savedSettings, p.model) })));
   } catch (e) {
     console.warn('Could not load provider status:', e);
   }
@@ -130,6 +197,111 @@ function openSettingsForProvider(providerKey) {
   });
 }
 
+// ─── Provider picker ──────────────────────────────────────────────────────────
+// Per-search choice of providers, consensus weights and synthesizer, keyed by the
+// server's provider key. Choices left at their defaults aren't sent, so an untouched
+// form still searches with every provider and can be served from cache.
+
+const providerPicker = { excluded: new Set(), weights: {}, synthesizer: '' };
+// Same range RecommendationRequestValidator accepts for providerWeights
+const PROVIDER_WEIGHT_MIN = 0.1;
+const PROVIDER_WEIGHT_MAX = 5;
+let pickerProviders = []; // [{ key, name }] — the providers this search could use
+
+function renderProviderPicker(providers) {
+  pickerProviders = providers;
+  // Nothing to choose between with a single provider
+  document.getElementById('providerPicker').classList.toggle('hidden', providers.length < 2);
+
+  const rows = providers.map(p => {
+    const included = !providerPicker.excluded.has(p.key);
+    const off = included ? '' : ' disabled';
+    return `
+      <div class="provider-pick${included ? '' : ' excluded'}">
+        <label class="checkbox-label provider-pick-name">
+          <input type="checkbox"${included ? ' checked' : ''} onchange="setProviderIncluded('${p.key}', this)" />
+          ${escHtml(p.name)}
+        </label>
+        <label class="provider-pick-weight" title="Share of the consensus vote, ${PROVIDER_WEIGHT_MIN}–${PROVIDER_WEIGHT_MAX} (1 = normal)">
+          Weight
+          <input type="number" min="${PROVIDER_WEIGHT_MIN}" max="${PROVIDER_WEIGHT_MAX}" step="0.1" value="${providerPicker.weights[p.key] ?? 1}"${off}
+            onchange="setProviderWeight('${p.key}', this)" />
+        </label>
+        <label class="checkbox-label provider-pick-synth">
+          <input type="radio" name="synthesizer" value="${p.key}"${providerPicker.synthesizer === p.key ? ' checked' : ''}${off}
+            onchange="setSynthesizer(this.value)" />
+          Synthesizes
+        </label>
+      </div>`;
+  });
+  rows.push(`
+      <label class="checkbox-label provider-pick-auto">
+        <input type="radio" name="synthesizer" value=""${providerPicker.synthesizer ? '' : ' checked'}
+          onchange="setSynthesizer('')" />
+        Let the fastest provider synthesize
+      </label>`);
+  document.getElementById('providerPickerRows').innerHTML = rows.join('');
+  updateProviderPickerSummary();
+}
+
+function setProviderIncluded(key, checkbox) {
+  const included = pickerProviders.filter(p => !providerPicker.excluded.has(p.key));
+  if (!checkbox.checked && included.length === 1) {
+    checkbox.checked = true;
+    showToast('At least one AI provider has to take part');
+    return;
+  }
+  if (checkbox.checked) providerPicker.excluded.delete(key);
+  else providerPicker.excluded.add(key);
+  if (!checkbox.checked && providerPicker.synthesizer === key) providerPicker.synthesizer = '';
+  renderProviderPicker(pickerProviders);
+}
+
+function setProviderWeight(key, input) {
+  const value = Math.min(PROVIDER_WEIGHT_MAX, Math.max(PROVIDER_WEIGHT_MIN, Math.round((parseFloat(input.value) || 1) * 10) / 10));
+  input.value = value;
+  if (value === 1) delete providerPicker.weights[key];
+  else providerPicker.weights[key] = value;
+  updateProviderPickerSummary();
+}
+
+function setSynthesizer(key) {
+  providerPicker.synthesizer = key;
+  updateProviderPickerSummary();
+}
+
+function resetProviderPicker() {
+  providerPicker.excluded.clear();
+  providerPicker.weights = {};
+  providerPicker.synthesizer = '';
+  renderProviderPicker(pickerProviders);
+}
+
+// The request fields for this search — empty when everything is at its default
+function buildProviderSelection() {
+  const included = pickerProviders.filter(p => !providerPicker.excluded.has(p.key));
+  const selection = {};
+  if (included.length < pickerProviders.length) selection.providers = included.map(p => p.key);
+  if (included.some(p => p.key === providerPicker.synthesizer)) selection.synthesizer = providerPicker.synthesizer;
+
+  const weights = Object.fromEntries(included
+    .filter(p => providerPicker.weights[p.key] !== undefined)
+    .map(p => [p.key, providerPicker.weights[p.key]]));
+  if (Object.keys(weights).length) selection.providerWeights = weights;
+  return selection;
+}
+
+function updateProviderPickerSummary() {
+  const selection = buildProviderSelection();
+  const nameOf = key => pickerProviders.find(p => p.key === key)?.name ?? key;
+  const parts = [
+    selection.providers ? selection.providers.map(nameOf).join(', ') : 'All providers',
+    selection.synthesizer ? `${nameOf(selection.synthesizer)} synthesizes` : null,
+    selection.providerWeights ? 'custom weights' : null
+  ].filter(Boolean);
+  document.getElementById('providerPickerSummary').textContent = parts.join(' · ');
+}
+
 // ─── Address autocomplete ─────────────────────────────────────────────────────
 
 async function fetchSuggestions(query) {
@@ -163,6 +335,7 @@ function renderAutocomplete(items) {
 function selectSuggestion(el) {
   suppressAutocomplete = true;
   document.getElementById('address').value = el.dataset.name;
+  syncUrlFromForm();
   hideAutocomplete();
   setTimeout(() => { suppressAutocomplete = false; }, 300);
 }
@@ -197,30 +370,17 @@ function detectLocation() {
       addressEl.dataset.geolocated = 'true';
       addressEl.value = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
 
-      // Try to reverse-geocode to a readable address via photon
+      // Try to reverse-geocode to a readable address; keep the coordinates if that fails
       try {
-        const url = `https://photon.komoot.io/reverse?lon=${longitude}&lat=${latitude}`;
-        const res = await fetch(url);
+        const params = new URLSearchParams({ lat: latitude, lng: longitude });
+        const res = await fetch(`/api/geocode/reverse?${params}`);
         if (res.ok) {
           const data = await res.json();
-          const f = data?.features?.[0];
-          if (f) {
-            const p = f.properties;
-            const parts = [
-              p?.name, p?.street ? (p.housenumber ? `${p.housenumber} ${p.street}` : p.street) : null,
-              p?.city ?? p?.town ?? p?.village, p?.state, p?.country
-            ].filter(Boolean);
-            addressEl.value = parts.join(', ') || `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
-          } else {
-            addressEl.value = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
-          }
-        } else {
-          addressEl.value = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+          if (data.displayName) addressEl.value = data.displayName;
         }
-      } catch {
-        addressEl.value = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
-      }
+      } catch { /* coordinates stay in the field */ }
 
+      syncUrlFromForm();
       btn.disabled = false;
       btn.innerHTML = '&#128205; My Location';
     },
@@ -259,8 +419,16 @@ const SETTINGS_KEY_MAP = {
   'key-GooglePlaces':     'GooglePlaces'
 };
 
+// Backend keys that hold credentials — left out of profile exports unless asked for
+const SECRET_SETTINGS = Object.entries(SETTINGS_KEY_MAP)
+  .filter(([fieldId]) => fieldId.startsWith('key-'))
+  .map(([, backendKey]) => backendKey);
+
+const DEFAULT_PROFILE = 'Default';
+
 function openSettings() {
   loadSettingsIntoModal();
+  renderVaultState();
   document.getElementById('settingsModal').classList.remove('hidden');
   document.body.classList.add('modal-open');
 }
@@ -274,9 +442,39 @@ function handleModalOverlayClick(e) {
   if (e.target === e.currentTarget) closeSettings();
 }
 
+// The active profile's settings
 function loadSettings() {
-  try { return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}'); }
-  catch { return {}; }
+  const store = loadSettingsStore();
+  return store.profiles[store.activeProfile] ?? {};
+}
+
+// Everything saved: { activeProfile, profiles: { name → settings } }. While the vault
+// is on it only exists in memory once unlocked; a locked vault reads as one empty
+// profile so every request falls back to the server's keys.
+function loadSettingsStore() {
+  if (isVaultEnabled()) return normalizeSettingsStore(vaultStore);
+  try { return normalizeSettingsStore(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null')); }
+  catch { return normalizeSettingsStore(null); }
+}
+
+// Saves from before profiles hold one flat settings object — that becomes "Default"
+function normalizeSettingsStore(raw) {
+  if (!raw || typeof raw !== 'object') return { activeProfile: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: {} } };
+  if (!raw.profiles) return { activeProfile: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: raw } };
+  const names = Object.keys(raw.profiles);
+  if (!names.length) return { activeProfile: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: {} } };
+  return { activeProfile: names.includes(raw.activeProfile) ? raw.activeProfile : names[0], profiles: raw.profiles };
+}
+
+// Writes to whichever storage is in use — re-encrypting when the vault is on
+async function saveSettingsStore(store) {
+  if (isVaultEnabled()) {
+    const vault = readVault();
+    await writeVault(store, vaultKey, fromBase64(vault.salt), vault.iterations);
+    vaultStore = store;
+  } else {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(store));
+  }
 }
 
 function loadSettingsIntoModal() {
@@ -302,24 +500,57 @@ function selectHasValue(selectEl, val) {
   return Array.from(selectEl.options).some(o => o.value === val);
 }
 
-function saveSettings() {
+async function saveSettings() {
+  if (isVaultLocked()) {
+    setVaultStatus('Unlock the vault before changing settings.', 'error');
+    return;
+  }
+
   const settings = {};
   for (const [fieldId, backendKey] of Object.entries(SETTINGS_KEY_MAP)) {
     const el = document.getElementById('settings-' + fieldId);
     if (el && el.value.trim()) settings[backendKey] = el.value.trim();
   }
-  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+  const store = loadSettingsStore();
+  store.profiles[store.activeProfile] = settings;
+
+  const encrypt = document.getElementById('settings-vault-enabled').checked;
+  try {
+    if (encrypt) {
+      await saveVault(store);
+    } else {
+      if (isVaultEnabled()) disableVault();
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(store));
+    }
+  } catch (e) {
+    setVaultStatus(e.message, 'error');
+    return;
+  }
+
   updateSettingsIndicator(settings);
   loadProviderStatus(); // refresh indicators with new keys
   closeSettings();
   const count = Object.keys(settings).length;
+  const profiles = Object.keys(store.profiles).length;
+  const where = (profiles > 1 ? ` to "${store.activeProfile}"` : '') + (encrypt ? ' and encrypted' : '');
   showToast(count > 0
-    ? `Settings saved (${count} override${count !== 1 ? 's' : ''})`
-    : 'Settings saved — using server defaults for all keys');
+    ? `Settings saved${where} (${count} override${count !== 1 ? 's' : ''})`
+    : `Settings saved${where} — using server defaults for all keys`);
 }
 
+// Wipes every profile, not just the active one — so say what goes before doing it
 function clearSettings() {
+  const vault = isVaultEnabled() ? ' and the encrypted vault' : '';
+  const count = Object.keys(loadSettingsStore().profiles).length;
+  const what = isVaultLocked()
+    ? 'every saved profile (the vault is locked, so they can’t be counted)'
+    : `${count} profile${count !== 1 ? 's' : ''}`;
+  if (!confirm(`Delete ${what}${vault}? Searches will use the server defaults.`)) return;
+
   localStorage.removeItem(SETTINGS_STORAGE_KEY);
+  disableVault();
+  renderVaultState();
   for (const fieldId of Object.keys(SETTINGS_KEY_MAP)) {
     const el = document.getElementById('settings-' + fieldId);
     if (!el) continue;
@@ -337,10 +568,15 @@ function clearSettings() {
 }
 
 function updateSettingsIndicator(settings) {
+  renderProfileSelectors();
   const btn = document.getElementById('settingsBtn');
   if (!btn) return;
   const count = Object.values(settings).filter(Boolean).length;
-  if (count > 0) {
+  btn.classList.toggle('vault-locked', isVaultLocked());
+  if (isVaultLocked()) {
+    btn.classList.remove('has-keys');
+    btn.title = 'Settings (vault locked — using server defaults)';
+  } else if (count > 0) {
     btn.classList.add('has-keys');
     btn.title = `Settings (${count} override${count !== 1 ? 's' : ''})`;
   } else {
@@ -358,6 +594,437 @@ function buildUserApiKeys() {
   return Object.keys(keys).length > 0 ? keys : null;
 }
 
+// ─── Settings profiles ────────────────────────────────────────────────────────
+// Named sets of keys and models (e.g. "Free OpenRouter", "Azure only"). The
+// settings modal always edits the active profile.
+
+const PROFILES_FILE_FORMAT = 'places-recommendation-profiles';
+
+function renderProfileSelectors() {
+  const store = loadSettingsStore();
+  const options = Object.keys(store.profiles).map(name =>
+    `<option value="${escHtml(name)}"${name === store.activeProfile ? ' selected' : ''}>${escHtml(name)}</option>`
+  ).join('');
+
+  const headerSelect = document.getElementById('profileSelect');
+  const modalSelect  = document.getElementById('settings-profile');
+  if (headerSelect) {
+    headerSelect.innerHTML = options;
+    // Only worth the header space once there is something to switch between
+    headerSelect.classList.toggle('hidden', isVaultLocked() || Object.keys(store.profiles).length < 2);
+  }
+  if (modalSelect) modalSelect.innerHTML = options;
+}
+
+function afterProfileChange() {
+  if (!document.getElementById('settingsModal').classList.contains('hidden')) loadSettingsIntoModal();
+  updateSettingsIndicator(loadSettings());
+  loadProviderStatus();
+}
+
+async function switchProfile(name) {
+  if (isVaultLocked()) return;
+  const store = loadSettingsStore();
+  if (!Object.hasOwn(store.profiles, name) || store.activeProfile === name) return;
+  store.activeProfile = name;
+  await saveSettingsStore(store);
+  afterProfileChange();
+  showToast(`Switched to the "${name}" profile`);
+}
+
+// Profiles live in a plain object, so names like "__proto__" or "constructor" would
+// hit Object.prototype instead of a profile of their own
+function isReservedProfileName(name) {
+  return name in Object.prototype;
+}
+
+function promptProfileName(message, current, store) {
+  const name = prompt(message, current);
+  if (name === null || !name.trim() || name.trim() === current) return null;
+  if (isReservedProfileName(name.trim())) {
+    showToast(`"${name.trim()}" can’t be used as a profile name`);
+    return null;
+  }
+  if (Object.hasOwn(store.profiles, name.trim())) {
+    showToast(`A profile named "${name.trim()}" already exists`);
+    return null;
+  }
+  return name.trim();
+}
+
+// A new profile starts as a copy of the active one
+async function createProfile() {
+  if (isVaultLocked()) return;
+  const store = loadSettingsStore();
+  const name = promptProfileName('Name the new profile (it starts as a copy of the current one):', '', store);
+  if (!name) return;
+  store.profiles[name] = { ...store.profiles[store.activeProfile] };
+  store.activeProfile = name;
+  await saveSettingsStore(store);
+  afterProfileChange();
+  showToast(`Created the "${name}" profile`);
+}
+
+async function renameProfile() {
+  if (isVaultLocked()) return;
+  const store = loadSettingsStore();
+  const current = store.activeProfile;
+  const name = promptProfileName('Rename profile:', current, store);
+  if (!name) return;
+  // Rebuild so the renamed profile keeps its place in the list
+  store.profiles = Object.fromEntries(Object.entries(store.profiles).map(([n, s]) => [n === current ? name : n, s]));
+  store.activeProfile = name;
+  await saveSettingsStore(store);
+  afterProfileChange();
+}
+
+async function deleteProfile() {
+  if (isVaultLocked()) return;
+  const store = loadSettingsStore();
+  const names = Object.keys(store.profiles);
+  if (names.length < 2) {
+    showToast('The last profile can’t be deleted — use Clear All instead');
+    return;
+  }
+  if (!confirm(`Delete the "${store.activeProfile}" profile?`)) return;
+  delete store.profiles[store.activeProfile];
+  store.activeProfile = Object.keys(store.profiles)[0];
+  await saveSettingsStore(store);
+  afterProfileChange();
+  showToast(`Switched to the "${store.activeProfile}" profile`);
+}
+
+function stripSecrets(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([k]) => !SECRET_SETTINGS.includes(k)));
+}
+
+function pickSecrets(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([k]) => SECRET_SETTINGS.includes(k)));
+}
+
+function exportProfiles() {
+  if (isVaultLocked()) return;
+  const includeSecrets = document.getElementById('profile-export-secrets').checked;
+  const store = loadSettingsStore();
+  const file = {
+    format:          PROFILES_FILE_FORMAT,
+    version:         1,
+    exportedAt:      new Date().toISOString(),
+    includesSecrets: includeSecrets,
+    activeProfile:   store.activeProfile,
+    profiles: Object.fromEntries(Object.entries(store.profiles).map(([name, settings]) =>
+      [name, includeSecrets ? settings : stripSecrets(settings)]))
+  };
+  downloadFile(JSON.stringify(file, null, 2), 'settings-profiles.json', 'application/json');
+}
+
+// Keeps only known settings with string values, so a hand-edited file can't smuggle
+// anything else into userApiKeys
+function sanitizeProfile(raw) {
+  const known = Object.values(SETTINGS_KEY_MAP);
+  if (!raw || typeof raw !== 'object') return {};
+  return Object.fromEntries(Object.entries(raw)
+    .filter(([k, v]) => known.includes(k) && typeof v === 'string' && v.trim())
+    .map(([k, v]) => [k, v.trim()]));
+}
+
+// Imported profiles replace same-named ones; a file exported without keys keeps the
+// keys already saved under that name
+async function importProfiles(input) {
+  const file = input.files[0];
+  input.value = ''; // let the same file be picked again
+  if (!file || isVaultLocked()) return;
+
+  let parsed;
+  try { parsed = JSON.parse(await file.text()); }
+  catch { parsed = null; }
+  if (parsed?.format !== PROFILES_FILE_FORMAT || !parsed.profiles || typeof parsed.profiles !== 'object') {
+    showToast('That file isn’t a settings profiles export');
+    return;
+  }
+
+  const names = Object.keys(parsed.profiles).map(n => n.trim()).filter(n => n && !isReservedProfileName(n));
+  if (!names.length) {
+    showToast('That file has no profiles in it');
+    return;
+  }
+
+  const store = loadSettingsStore();
+  // Nothing saved yet: take the file's profiles wholesale, including which one is active
+  const fresh = Object.keys(store.profiles).length === 1 && !Object.keys(store.profiles[store.activeProfile]).length;
+  if (fresh) store.profiles = {};
+  for (const [rawName, rawSettings] of Object.entries(parsed.profiles)) {
+    const name = rawName.trim();
+    if (!names.includes(name)) continue;
+    const settings = sanitizeProfile(rawSettings);
+    const existing = Object.hasOwn(store.profiles, name) ? store.profiles[name] : null;
+    store.profiles[name] = parsed.includesSecrets || !existing ? settings : { ...pickSecrets(existing), ...settings };
+  }
+  if (fresh) store.activeProfile = names.includes(parsed.activeProfile) ? parsed.activeProfile : names[0];
+
+  try {
+    await saveSettingsStore(store);
+  } catch (e) {
+    showToast(`Import failed: ${e.message}`);
+    return;
+  }
+  afterProfileChange();
+  showToast(`Imported ${names.length} profile${names.length !== 1 ? 's' : ''}${parsed.includesSecrets ? '' : ' (without API keys)'}`);
+}
+
+// ─── Provider test ────────────────────────────────────────────────────────────
+
+// Last Test result per settings target, with the key/endpoint/model it ran against
+const providerTests = new Map();
+
+function providerTestInputs(provider) {
+  return {
+    apiKey:   document.getElementById(`settings-key-${provider}`)?.value.trim() || '',
+    endpoint: provider === 'AzureOpenAI' ? document.getElementById('settings-endpoint-AzureOpenAI')?.value.trim() || '' : '',
+    model:    document.getElementById(`settings-model-${provider}`)?.value || ''
+  };
+}
+
+// Sends the key, endpoint and model as currently typed — saving isn't required to test
+async function testProvider(provider) {
+  const statusEl = document.getElementById(`model-status-${provider}`);
+  const btn = document.getElementById(`test-btn-${provider}`);
+  const inputs = providerTestInputs(provider);
+
+  statusEl.textContent = 'Testing…';
+  statusEl.className = 'model-status loading';
+  if (btn) btn.disabled = true;
+
+  try {
+    const res = await fetch('/api/providers/test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ provider, ...inputs })
+    });
+    if (!res.ok) throw new Error(`Server returned ${res.status}`);
+    const result = await res.json();
+    providerTests.set(provider, { ...result, tested: inputs });
+
+    statusEl.textContent = result.ok
+      ? `✓ ${result.model} works — ${result.latencyMs} ms`
+      : `✗ ${result.message}`;
+    statusEl.className = `model-status ${result.ok ? 'success' : result.outcome === 'rate_limited' ? 'warning' : 'error'}`;
+    loadProviderStatus();
+  } catch (e) {
+    statusEl.textContent = `Test failed: ${e.message}`;
+    statusEl.className = 'model-status error';
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// A result only marks the header dot while the saved settings are the ones it tested
+function providerTestFor(provider, settings) {
+  const test = providerTests.get(provider);
+  if (!test) return null;
+  const saved = {
+    apiKey:   settings[provider] || '',
+    endpoint: provider === 'AzureOpenAI' ? settings['AzureOpenAIEndpoint'] || '' : '',
+    model:    settings[`${provider}Model`] || ''
+  };
+  return Object.entries(saved).every(([k, v]) => test.tested[k] === v) ? test : null;
+}
+
+// ─── Settings vault ───────────────────────────────────────────────────────────
+// Opt-in encryption of the settings store: AES-GCM under a key derived from a
+// passphrase with PBKDF2. The decrypted settings live only in memory; "remember
+// for this tab" keeps the derived key in sessionStorage so reloads stay unlocked.
+
+const SETTINGS_VAULT_KEY      = 'recommendations_settings_vault';
+const VAULT_SESSION_KEY       = 'recommendations_vault_key';
+const VAULT_PBKDF2_ITERATIONS = 600000;
+const VAULT_MIN_PASSPHRASE    = 8;
+
+let vaultKey = null;      // CryptoKey while unlocked
+let vaultStore = null;    // decrypted settings store while unlocked
+
+function isVaultSupported() {
+  return !!window.crypto?.subtle;
+}
+
+function readVault() {
+  try { return JSON.parse(localStorage.getItem(SETTINGS_VAULT_KEY) || 'null'); }
+  catch { return null; }
+}
+
+function isVaultEnabled() {
+  return readVault() !== null;
+}
+
+function isVaultLocked() {
+  return isVaultEnabled() && !vaultKey;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  // Extractable so "remember for this tab" can put it in sessionStorage
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material, { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+async function writeVault(settings, key, salt, iterations) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(settings)));
+  localStorage.setItem(SETTINGS_VAULT_KEY, JSON.stringify({
+    version: 1,
+    iterations,
+    salt: toBase64(salt),
+    iv:   toBase64(iv),
+    data: toBase64(data)
+  }));
+}
+
+// Throws when the key is wrong (AES-GCM authentication fails)
+async function decryptVault(vault, key) {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+async function rememberVaultKey(key, remember) {
+  if (remember) sessionStorage.setItem(VAULT_SESSION_KEY, toBase64(await crypto.subtle.exportKey('raw', key)));
+  else          sessionStorage.removeItem(VAULT_SESSION_KEY);
+}
+
+// Called once on load: reopens the vault if this tab asked to be remembered
+async function restoreVaultSession() {
+  const vault  = readVault();
+  const stored = sessionStorage.getItem(VAULT_SESSION_KEY);
+  if (!vault || !stored || !isVaultSupported()) return;
+  try {
+    const key = await crypto.subtle.importKey('raw', fromBase64(stored), 'AES-GCM', true, ['encrypt', 'decrypt']);
+    vaultStore = await decryptVault(vault, key);
+    vaultKey = key;
+  } catch {
+    sessionStorage.removeItem(VAULT_SESSION_KEY); // stale key from before a passphrase change
+  }
+}
+
+async function unlockVault() {
+  const passEl = document.getElementById('vault-unlock-passphrase');
+  const vault = readVault();
+  if (!vault) return;
+  if (!passEl.value) {
+    setVaultStatus('Enter your passphrase.', 'error');
+    return;
+  }
+
+  setVaultStatus('Unlocking…', 'loading');
+  try {
+    const key = await deriveVaultKey(passEl.value, fromBase64(vault.salt), vault.iterations);
+    vaultStore = await decryptVault(vault, key);
+    vaultKey = key;
+  } catch {
+    setVaultStatus('Wrong passphrase.', 'error');
+    return;
+  }
+
+  await rememberVaultKey(vaultKey, document.getElementById('vault-unlock-remember').checked);
+  passEl.value = '';
+  setVaultStatus('');
+  loadSettingsIntoModal();
+  renderVaultState();
+  updateSettingsIndicator(loadSettings());
+  loadProviderStatus();
+  showToast('Settings unlocked');
+}
+
+function lockVault() {
+  vaultKey = null;
+  vaultStore = null;
+  sessionStorage.removeItem(VAULT_SESSION_KEY);
+  loadSettingsIntoModal();
+  renderVaultState();
+  updateSettingsIndicator({});
+  loadProviderStatus();
+  showToast('Settings locked — server defaults will be used until you unlock');
+}
+
+// Encrypts with a new passphrase when one was entered, otherwise re-encrypts
+// under the current key
+async function saveVault(store) {
+  const passphrase = document.getElementById('settings-vault-passphrase').value;
+  const confirm    = document.getElementById('settings-vault-confirm').value;
+  const remember   = document.getElementById('settings-vault-remember').checked;
+
+  if (passphrase || !vaultKey) {
+    if (passphrase.length < VAULT_MIN_PASSPHRASE) {
+      throw new Error(`Choose a passphrase of at least ${VAULT_MIN_PASSPHRASE} characters.`);
+    }
+    if (passphrase !== confirm) throw new Error('The passphrases don’t match.');
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key  = await deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+    await writeVault(store, key, salt, VAULT_PBKDF2_ITERATIONS);
+    vaultKey = key;
+  } else {
+    const vault = readVault();
+    await writeVault(store, vaultKey, fromBase64(vault.salt), vault.iterations);
+  }
+
+  vaultStore = store;
+  localStorage.removeItem(SETTINGS_STORAGE_KEY); // no plaintext copy left behind
+  await rememberVaultKey(vaultKey, remember);
+}
+
+function disableVault() {
+  localStorage.removeItem(SETTINGS_VAULT_KEY);
+  sessionStorage.removeItem(VAULT_SESSION_KEY);
+  vaultKey = null;
+  vaultStore = null;
+}
+
+function toggleVaultFields() {
+  const enabled = document.getElementById('settings-vault-enabled').checked;
+  document.getElementById('vaultPassphraseFields').classList.toggle('hidden', !enabled);
+  setVaultStatus('');
+}
+
+// Shows the unlock form while locked, otherwise the encryption options
+function renderVaultState() {
+  const locked  = isVaultLocked();
+  const enabled = isVaultEnabled();
+  const checkbox = document.getElementById('settings-vault-enabled');
+
+  document.querySelector('#settingsModal .modal-body').classList.toggle('vault-locked', locked);
+  document.getElementById('vaultLocked').classList.toggle('hidden', !locked);
+  document.getElementById('vaultOptions').classList.toggle('hidden', locked);
+  document.getElementById('vaultLockBtn').classList.toggle('hidden', !enabled || locked);
+  document.getElementById('settingsSaveBtn').disabled = locked;
+
+  checkbox.checked  = enabled;
+  checkbox.disabled = !isVaultSupported();
+  document.getElementById('settings-vault-passphrase').value = '';
+  document.getElementById('settings-vault-confirm').value = '';
+  document.getElementById('settings-vault-passphrase').placeholder = enabled
+    ? 'Leave empty to keep the current passphrase'
+    : `At least ${VAULT_MIN_PASSPHRASE} characters`;
+  document.getElementById('settings-vault-remember').checked = !!sessionStorage.getItem(VAULT_SESSION_KEY);
+  document.getElementById('vaultPassphraseFields').classList.toggle('hidden', !enabled);
+  setVaultStatus(isVaultSupported() ? '' : 'Encryption needs a secure context (HTTPS or localhost).', 'warning');
+}
+
+function setVaultStatus(message, kind = '') {
+  const el = document.getElementById('vault-status');
+  el.textContent = message;
+  el.className = `model-status ${kind}`.trim();
+}
+
 // ─── Model fetching ───────────────────────────────────────────────────────────
 
 async function fetchModels(provider) {
@@ -482,41 +1149,85 @@ const pipelineSteps = [
   { key: 'cache_write', label: 'Saving to cache' }
 ];
 
+const progressIcons = {
+  pending: '○',
+  running: '<span class="spinner"></span>',
+  done: '✓',
+  skipped: '–',
+  failed: '✗'
+};
+
 function showProgress() {
   const section = document.getElementById('progressSection');
   const stepsEl = document.getElementById('progressSteps');
   section.classList.remove('hidden');
 
-  stepsEl.innerHTML = pipelineSteps.map((s, i) =>
-    `<div class="progress-step ${i === 0 ? 'running' : 'pending'}" id="step-${s.key}">
-      <span class="step-icon">${i === 0 ? '<span class="spinner"></span>' : '○'}</span>
+  // Every step starts pending; the server's progress stream drives the rest
+  stepsEl.innerHTML = pipelineSteps.map(s =>
+    `<div class="progress-step pending" id="step-${s.key}">
+      <span class="step-icon">${progressIcons.pending}</span>
       <span>${s.label}</span>
-    </div>`
+      <span class="step-note"></span>
+    </div>
+    ${s.key === 'generate' ? '<div id="step-generate-providers" class="progress-providers"></div>' : ''}`
   ).join('');
+}
 
-  // Animate through steps to simulate progress
-  let idx = 0;
-  const interval = setInterval(() => {
-    if (idx < pipelineSteps.length) {
-      const prev = document.getElementById('step-' + pipelineSteps[idx]?.key);
-      if (prev) {
-        prev.classList.remove('running');
-        prev.classList.add('done');
-        prev.querySelector('.step-icon').innerHTML = '✓';
-      }
-      idx++;
-      const next = document.getElementById('step-' + pipelineSteps[idx]?.key);
-      if (next) {
-        next.classList.remove('pending');
-        next.classList.add('running');
-        next.querySelector('.step-icon').innerHTML = '<span class="spinner"></span>';
-      }
-    } else {
-      clearInterval(interval);
-    }
-  }, 1500);
+// Apply one {type:"progress"} event from /api/recommendations/stream
+function updateProgress(evt) {
+  if (evt.provider) { updateProviderProgress(evt); return; }
+  const el = document.getElementById('step-' + evt.step);
+  if (!el) return;
+  el.className = `progress-step ${evt.status}`;
+  el.querySelector('.step-icon').innerHTML = progressIcons[evt.status] ?? progressIcons.pending;
+  el.querySelector('.step-note').textContent = evt.message || '';
+}
 
-  return () => clearInterval(interval);
+function updateProviderProgress(evt) {
+  const list = document.getElementById('step-generate-providers');
+  if (!list) return;
+  const id = 'provider-progress-' + evt.provider.replace(/[^a-z0-9]/gi, '');
+  let item = document.getElementById(id);
+  if (!item) {
+    item = document.createElement('div');
+    item.id = id;
+    list.appendChild(item);
+  }
+  item.className = `progress-step progress-provider ${evt.status}`;
+  item.innerHTML = `
+    <span class="step-icon">${progressIcons[evt.status] ?? progressIcons.pending}</span>
+    <span>${escHtml(evt.provider)}</span>
+    <span class="step-note">${escHtml(evt.message || '')}</span>`;
+}
+
+// The server answered, but its progress stream broke off or sent something unreadable —
+// unlike a fetch() rejection, this isn't the user's connection
+class StreamError extends Error {}
+
+// Read a newline-delimited JSON response body, calling onMessage per line as it arrives
+async function readNdjson(res, onMessage) {
+  const parse = line => {
+    try { return JSON.parse(line); }
+    catch { throw new StreamError(`Unreadable line in the progress stream: ${line.slice(0, 100)}`); }
+  };
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    let chunk;
+    try { chunk = await reader.read(); }
+    catch (e) { throw new StreamError(`Progress stream interrupted: ${e.message}`); }
+    if (chunk.done) break;
+    buf += decoder.decode(chunk.value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) onMessage(parse(line));
+    }
+  }
+  buf += decoder.decode();
+  if (buf.trim()) onMessage(parse(buf.trim()));
 }
 
 function showError(msg, hint, actions) {
@@ -540,7 +1251,8 @@ function hideAll() {
   document.getElementById('resultsSection').classList.add('hidden');
 }
 
-async function search() {
+// pushUrl: false when replaying a search from back/forward navigation
+async function search({ pushUrl = true } = {}) {
   hideAll();
   hideAutocomplete();
   const searchBtn = document.getElementById('searchBtn');
@@ -548,10 +1260,13 @@ async function search() {
   const origBtnText = searchBtn.textContent;
   searchBtn.innerHTML = '<span class="btn-spinner"></span> Processing…';
 
+  const formState = getFormState();
   const maxResults = parseInt(document.getElementById('maxResults').value, 10);
   const radiusMeters = parseInt(document.getElementById('radius').value, 10);
   const forceRefresh = document.getElementById('forceRefresh').checked;
   const userApiKeys = buildUserApiKeys();
+  const providerSelection = buildProviderSelection();
+  if (isVaultLocked()) showToast('Settings vault is locked — searching with server defaults');
 
   // Build category params: single "All" or multi-select array
   const isAll = selectedCategories.size === 1 && selectedCategories.has('All');
@@ -560,6 +1275,7 @@ async function search() {
     maxResults,
     radiusMeters,
     forceRefresh,
+    ...providerSelection,
     ...(userApiKeys ? { userApiKeys } : {})
   };
 
@@ -592,62 +1308,88 @@ async function search() {
     }
   }
 
-  const stopProgress = showProgress();
+  if (pushUrl) writeUrl(formState, { run: true, push: true });
+  showProgress();
 
+  let res = null;
   try {
-    const res = await fetch('/api/recommendations', {
+    res = await fetch('/api/recommendations/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(request)
     });
 
-    stopProgress();
-    document.getElementById('progressSection').classList.add('hidden');
-    searchBtn.disabled = false;
-    searchBtn.textContent = origBtnText;
-
     if (!res.ok) {
       let errBody = null;
       if (res.status !== 504) errBody = await res.json().catch(() => null);
-      const rawDetail = (errBody?.detail || errBody?.error || errBody?.errors?.join(', ') || '').toLowerCase();
-
-      let msg, hint, actions = [];
-      if (res.status === 503 && rawDetail.includes('no ai provider')) {
-        msg = 'No AI provider is configured.';
-        hint = 'Open Settings and enter an API key. OpenRouter offers free models — no credit card needed.';
-        actions = [{ label: '⚙ Open Settings', fn: 'openSettings()' }];
-      } else if (res.status === 503) {
-        msg = 'The AI provider couldn\'t complete the request.';
-        hint = 'This is usually a temporary rate limit — try again in a moment. If it persists, switch models and avoid reasoning-only models (e.g. DeepSeek R1, trinity-mini).';
-        actions = [{ label: 'Retry', fn: 'search()' }, { label: '⚙ Open Settings', fn: 'openSettings()' }];
-      } else if (res.status === 504) {
-        msg = 'Request timed out.';
-        hint = 'The AI provider took too long to respond. Try again, or select a faster model in Settings.';
-        actions = [{ label: 'Retry', fn: 'search()' }, { label: '⚙ Open Settings', fn: 'openSettings()' }];
-      } else {
-        msg = errBody?.detail || errBody?.error || errBody?.errors?.join(', ') || res.statusText || 'Request failed.';
-      }
-      showError(msg, hint, actions);
+      showRequestError(res.status, errBody, res.statusText);
       return;
     }
 
-    const data = await res.json();
+    let data = null;
+    let failure = null;
+    await readNdjson(res, msg => {
+      if (msg.type === 'progress') updateProgress(msg);
+      else if (msg.type === 'result') data = msg.response;
+      else if (msg.type === 'error') failure = msg;
+    });
+
+    if (failure) {
+      showRequestError(failure.status, failure);
+      return;
+    }
+    if (!data) throw new StreamError('Progress stream ended without a result');
+
+    document.getElementById('progressSection').classList.add('hidden');
     renderResults(data);
+    addToHistory(formState, data);
   } catch (e) {
-    stopProgress();
-    searchBtn.disabled = false;
-    searchBtn.textContent = origBtnText;
-    showError(
-      'Network error — could not reach the server.',
-      'Check your internet connection and try again.',
-      [{ label: 'Retry', fn: 'search()' }]
-    );
+    if (e instanceof StreamError) {
+      console.warn(e.message);
+      showError(
+        'The server stopped before sending results.',
+        'It had started working on the search — this is usually a server-side failure or restart. Try again.',
+        [{ label: 'Retry', fn: 'search()' }]
+      );
+    } else if (!res) {
+      showError(
+        'Network error — could not reach the server.',
+        'Check your internet connection and try again.',
+        [{ label: 'Retry', fn: 'search()' }]
+      );
+    } else {
+      console.error(e);
+      showError('Something went wrong while showing the results.', e.message, [{ label: 'Retry', fn: 'search()' }]);
+    }
   } finally {
     searchBtn.disabled = false;
     searchBtn.textContent = origBtnText;
   }
 }
 
+// Shared by HTTP error responses and {type:"error"} events from the progress stream
+function showRequestError(status, errBody, statusText) {
+  const rawDetail = (errBody?.detail || errBody?.error || errBody?.errors?.join(', ') || '').toLowerCase();
+
+  let msg, hint, actions = [];
+  if (status === 503 && rawDetail.includes('no ai provider')) {
+    msg = 'No AI provider is configured.';
+    hint = 'Open Settings and enter an API key. OpenRouter offers free models — no credit card needed.';
+    actions = [{ label: '⚙ Open Settings', fn: 'openSettings()' }];
+  } else if (status === 503) {
+    msg = 'The AI provider couldn\'t complete the request.';
+    hint = 'This is usually a temporary rate limit — try again in a moment. If it persists, switch models and avoid reasoning-only models (e.g. DeepSeek R1, trinity-mini).';
+    actions = [{ label: 'Retry', fn: 'search()' }, { label: '⚙ Open Settings', fn: 'openSettings()' }];
+  } else if (status === 504) {
+    msg = 'Request timed out.';
+    hint = 'The AI provider took too long to respond. Try again, or select a faster model in Settings.';
+    actions = [{ label: 'Retry', fn: 'search()' }, { label: '⚙ Open Settings', fn: 'openSettings()' }];
+  } else {
+    msg = errBody?.detail || errBody?.error || errBody?.errors?.join(', ') || statusText || 'Request failed.';
+  }
+  showError(msg, hint, actions);
+}
+
 function renderResults(data) {
   const section = document.getElementById('resultsSection');
   section.classList.remove('hidden');
@@ -672,16 +1414,25 @@ function renderResults(data) {
     cacheEl.className = 'badge fresh';
   }
 
-  // Cards
-  const grid = document.getElementById('resultsGrid');
-  grid.innerHTML = data.recommendations.map((rec, i) => renderCard(rec, i + 1)).join('');
+  // Cards + map, drawn through the sort/filter toolbar (ranks stay as returned)
+  currentResults = {
+    data,
+    items: data.recommendations.map((rec, i) => buildResultItem(rec, i + 1, data))
+  };
+  resetResultView();
 
   // Metadata
   const meta = data.metadata;
+  const weights = meta.providerWeights || {};
+  const providersUsed = meta.providersUsed
+    .map(name => escHtml(weights[name] !== undefined && weights[name] !== 1 ? `${name} ×${weights[name]}` : name))
+    .join(', ');
   document.getElementById('metadataContent').innerHTML = `
     <dl class="metadata-grid">
+      <dt>Providers Selected</dt>
+      <dd>${meta.providersSelected?.length ? escHtml(meta.providersSelected.join(', ')) : 'All configured'}</dd>
       <dt>Providers Used</dt>
-      <dd>${meta.providersUsed.join(', ') || 'None'}</dd>
+      <dd>${providersUsed || 'None'}</dd>
       <dt>Providers Failed</dt>
       <dd>${meta.providersFailed.length ? meta.providersFailed.join(', ') : 'None'}</dd>
       <dt>Google Places Enriched</dt>
@@ -690,12 +1441,35 @@ function renderResults(data) {
       <dd>${meta.totalCandidatesEvaluated}</dd>
       <dt>Total Elapsed</dt>
       <dd>${meta.totalElapsed}</dd>
+      <dt>Synthesizer Requested</dt>
+      <dd>${meta.synthesizerRequested ? escHtml(meta.synthesizerRequested) : 'Auto (fastest provider)'}</dd>
       <dt>Synthesized By</dt>
       <dd>${meta.synthesizedBy || '—'}</dd>
     </dl>
+    ${renderProviderRuns(meta)}
   `;
 }
 
+// Per-provider latency and candidate counts; empty for results cached before the breakdown existed
+function renderProviderRuns(meta) {
+  if (!meta.providerRuns?.length) return '';
+  const rows = [...meta.providerRuns]
+    .sort((a, b) => b.success - a.success || a.latencyMs - b.latencyMs)
+    .map(r => `
+      <tr class="${r.success ? '' : 'run-failed'}"${r.error ? ` title="${escHtml(r.error)}"` : ''}>
+        <td>${escHtml(r.provider)}</td>
+        <td>${r.success ? '✓' : '✗ Failed'}</td>
+        <td>${(r.latencyMs / 1000).toFixed(1)} s</td>
+        <td>${r.candidates}</td>
+        <td>${r.success ? r.inFinalResults : '—'}</td>
+      </tr>`).join('');
+  return `
+    <table class="provider-runs">
+      <thead><tr><th>Provider</th><th>Status</th><th>Latency</th><th>Candidates</th><th>In results</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
 function renderCard(rec, rank) {
   const enriched = rec.enrichedPlaceData;
   const confPct = Math.round(rec.confidenceScore * 100);
@@ -725,9 +1499,11 @@ function renderCard(rec, rank) {
     : mapsUrl;
 
   const addressForCopy = rec.address || rec.name;
+  const hasLocation = !!recCoordinates(rec);
 
   return `
-    <div class="rec-card">
+    <div class="rec-card ${hasLocation ? 'has-location' : ''}" id="rec-card-${rank}"
+         onclick="focusCardOnMap(${rank}, event)">
       <div class="rec-card-header">
         <span class="rec-rank">#${rank}</span>
         <span class="rec-name">${escHtml(rec.name)}</span>
@@ -758,6 +1534,8 @@ function renderCard(rec, rank) {
 
       ${whyHtml}
 
+      ${renderProvenance(rec)}
+
       <div class="rec-actions">
         <a class="btn-sm" href="${mapsUrlCoords}" target="_blank" rel="noopener">View on Maps</a>
         <button class="btn-sm" onclick="copyToClipboard('${escAttr(addressForCopy)}', this)">Copy Address</button>
@@ -766,6 +1544,69 @@ function renderCard(rec, rank) {
   `;
 }
 
+// Who proposed the place, what the validators said and how the score adds up.
+// Results cached before the response carried provenance simply don't get the section.
+function renderProvenance(rec) {
+  const prov = rec.provenance;
+  if (!prov) return '';
+  const pct = v => `${Math.round(v * 100)}%`;
+  const signed = v => `${v < 0 ? '−' : '+'}${Math.abs(v).toFixed(2)}`;
+
+  const proposals = prov.proposals.map(p => `
+    <li>
+      <strong>${escHtml(p.provider)}</strong>
+      <span class="prov-note">${pct(p.confidenceScore)} confident${p.weight !== 1 ? ` · weight ×${p.weight}` : ''}${
+        p.name !== rec.name ? ` · as “${escHtml(p.name)}”` : ''}</span>
+      ${p.description ? `<div class="prov-text">${escHtml(p.description)}</div>` : ''}
+    </li>`).join('');
+
+  const verdicts = prov.verdicts.map(v => {
+    const flags = [v.flaggedAsInaccurate && '⚠ inaccurate', v.flaggedAsOutOfRange && '⚠ out of range'].filter(Boolean);
+    return `
+    <li>
+      <strong>${escHtml(v.validatedBy)}</strong> on ${escHtml(v.originalSource)}'s pick:
+      ${v.notReviewed
+        ? '<span class="prov-note">not reviewed (neutral 50%)</span>'
+        : `${pct(v.validationScore)}${flags.length ? ` <span class="prov-flag">${flags.join(' ')}</span>` : ''}`}
+      ${v.comment ? `<div class="prov-text">${escHtml(v.comment)}</div>` : ''}
+    </li>`;
+  }).join('');
+
+  const s = prov.score;
+  const components = [
+    ['Providers\' confidence', `${pct(s.baseScore)} × 0.4`, s.baseScore * 0.4],
+    [s.validated ? 'Cross-validation' : 'No cross-validation (reuses confidence)', `${pct(s.validationScore)} × 0.35`, s.validationScore * 0.35],
+    ['Agreement bonus', '', s.agreementBonus],
+    ['Verified place', '', s.realPlaceBonus],
+    ['Google rating', '', s.ratingBonus],
+    ['Validator flags', '', -s.flagPenalty]
+  ].filter(([, , value], i) => i < 2 || value !== 0);
+  const sum = components.reduce((total, [, , value]) => total + value, 0);
+  const capped = Math.abs(sum - s.finalScore) > 0.005;
+
+  return `
+    <details class="provenance">
+      <summary>How this was picked</summary>
+      <div class="prov-section">
+        <div class="prov-heading">Proposed by</div>
+        <ul class="prov-list">${proposals}</ul>
+      </div>
+      ${verdicts ? `
+      <div class="prov-section">
+        <div class="prov-heading">Cross-validation</div>
+        <ul class="prov-list">${verdicts}</ul>
+      </div>` : ''}
+      <div class="prov-section">
+        <div class="prov-heading">Score</div>
+        <table class="prov-score">
+          ${components.map(([label, detail, value]) => `
+          <tr><td>${label}</td><td class="prov-note">${detail}</td><td>${signed(value)}</td></tr>`).join('')}
+          <tr class="prov-total"><td>Consensus score</td><td class="prov-note">${capped ? 'capped to 0–1' : ''}</td><td>${s.finalScore.toFixed(2)}</td></tr>
+        </table>
+      </div>
+    </details>`;
+}
+
 function formatDistance(meters) {
   return meters >= 1000
     ? (meters / 1000).toFixed(1) + ' km'
@@ -784,21 +1625,875 @@ function escAttr(str) {
 }
 
 async function copyToClipboard(text, btn) {
+  const orig = btn.textContent;
   try {
     await navigator.clipboard.writeText(text);
-    const orig = btn.textContent;
     btn.textContent = 'Copied!';
-    setTimeout(() => { btn.textContent = orig; }, 1500);
   } catch {
     btn.textContent = 'Failed';
-    setTimeout(() => { btn.textContent = 'Copy Address'; }, 1500);
   }
+  setTimeout(() => { btn.textContent = orig; }, 1500);
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+// Serialises the whole response on screen (not just the filtered view) for GIS
+// tools and trip planners. mcp/tools.mjs has a copy of these serializers for
+// export_recommendations — any change here must be made there too.
+
+const EXPORT_FORMATS = {
+  geojson: { ext: 'geojson', mime: 'application/geo+json', build: toGeoJson },
+  csv:     { ext: 'csv',     mime: 'text/csv',             build: toCsv },
+  kml:     { ext: 'kml',     mime: 'application/vnd.google-earth.kml+xml', build: toKml },
+  gpx:     { ext: 'gpx',     mime: 'application/gpx+xml',  build: toGpx }
+};
+
+function exportRows(data) {
+  return data.recommendations.map((rec, i) => {
+    const coords = recCoordinates(rec);
+    return {
+      rank: i + 1,
+      name: rec.name,
+      address: rec.enrichedPlaceData?.address || rec.address || '',
+      latitude: coords?.lat ?? null,
+      longitude: coords?.lng ?? null,
+      category: recCategory(rec),
+      confidenceScore: rec.confidenceScore,
+      confidenceLevel: rec.confidenceLevel,
+      agreementCount: rec.agreementCount,
+      rating: rec.enrichedPlaceData?.rating ?? null,
+      highlights: rec.highlights || [],
+      whyRecommended: rec.whyRecommended || ''
+    };
+  });
+}
+
+function toGeoJson(data) {
+  // Places without coordinates can't be features; CSV keeps them
+  const features = exportRows(data)
+    .filter(r => r.latitude !== null)
+    .map(({ latitude, longitude, ...properties }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties
+    }));
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function toCsv(data) {
+  const columns = ['rank', 'name', 'address', 'latitude', 'longitude', 'category', 'confidenceScore',
+                   'confidenceLevel', 'agreementCount', 'rating', 'highlights', 'whyRecommended'];
+  const cell = v => {
+    let str = Array.isArray(v) ? v.join('; ') : (v ?? '').toString();
+    // AI-written text starting with = + - @ would run as a spreadsheet formula; numbers
+    // (negative coordinates) are left alone
+    if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = exportRows(data).map(r => columns.map(c => cell(r[c])).join(','));
+  return [columns.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+function exportDescription(r) {
+  return [
+    r.address,
+    `${r.category} · ${r.confidenceLevel} confidence (${Math.round(r.confidenceScore * 100)}%) · ${r.agreementCount} AI(s) agree`,
+    r.rating !== null ? `Rating: ${r.rating}` : '',
+    r.highlights.length ? `Highlights: ${r.highlights.join(', ')}` : '',
+    r.whyRecommended
+  ].filter(Boolean).join('\n');
+}
+
+function toKml(data) {
+  const placemarks = exportRows(data).filter(r => r.latitude !== null).map(r => `
+    <Placemark>
+      <name>${escXml(`${r.rank}. ${r.name}`)}</name>
+      <description>${escXml(exportDescription(r))}</description>
+      <Point><coordinates>${r.longitude},${r.latitude},0</coordinates></Point>
+    </Placemark>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escXml(data.resolvedAddress || 'Place recommendations')}</name>${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function toGpx(data) {
+  const waypoints = exportRows(data).filter(r => r.latitude !== null).map(r => `
+  <wpt lat="${r.latitude}" lon="${r.longitude}">
+    <name>${escXml(`${r.rank}. ${r.name}`)}</name>
+    <desc>${escXml(exportDescription(r))}</desc>
+    <type>${escXml(r.category)}</type>
+  </wpt>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Place Recommendations" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escXml(data.resolvedAddress || 'Place recommendations')}</name></metadata>${waypoints}
+</gpx>
+`;
+}
+
+function escXml(str) {
+  return String(str ?? '').replace(/[<>&"']/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function exportResults(format) {
+  document.getElementById('exportMenu').open = false;
+  const fmt = EXPORT_FORMATS[format];
+  if (!fmt || !currentResults) return;
+
+  const data = currentResults.data;
+  const slug = (data.resolvedAddress || 'recommendations')
+    .split(',')[0].toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'recommendations';
+
+  downloadFile(fmt.build(data), `${slug}.${fmt.ext}`, fmt.mime);
+}
+
+function downloadFile(content, filename, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ─── Deep links ───────────────────────────────────────────────────────────────
+// The query string mirrors the search form so a search can be shared or bookmarked:
+//   ?q=Eiffel+Tower&cat=Cafe,Museum&r=2000&n=10&run=1
+//   ?tab=coords&lat=48.858400&lng=2.294500&cat=All&r=1000&n=10
+// run=1 marks a URL for an executed search: it auto-runs on load, and each search
+// is its own browser-history entry so back/forward walks through past searches.
+
+function formStateToQuery(state, run) {
+  const params = new URLSearchParams();
+  if (state.tab === 'coords') params.set('tab', 'coords');
+  else if (state.address) params.set('q', state.address);
+  if ((state.tab === 'coords' || state.geolocated) && state.lat !== null && state.lng !== null) {
+    params.set('lat', state.lat.toFixed(6));
+    params.set('lng', state.lng.toFixed(6));
+  }
+  params.set('cat', state.categories.join(','));
+  params.set('r', state.radius);
+  params.set('n', state.maxResults);
+  if (run) params.set('run', '1');
+  return params;
+}
+
+function queryToFormState(search) {
+  const params = new URLSearchParams(search);
+  if (!['tab', 'q', 'lat', 'lng', 'cat', 'r', 'n'].some(k => params.has(k))) return null;
+
+  const tab = params.get('tab') === 'coords' ? 'coords' : 'address';
+  const lat = parseFloat(params.get('lat'));
+  const lng = parseFloat(params.get('lng'));
+  const hasCoords = Number.isFinite(lat) && Number.isFinite(lng);
+  // Coordinates on the address tab come from "My Location"
+  const geolocated = tab === 'address' && hasCoords;
+
+  return {
+    tab,
+    categories: (params.get('cat') || 'All').split(',').filter(Boolean),
+    radius: parseInt(params.get('r'), 10) || 1000,
+    maxResults: parseInt(params.get('n'), 10) || 10,
+    address: params.get('q') || (geolocated ? `${lat.toFixed(5)}, ${lng.toFixed(5)}` : ''),
+    lat: hasCoords ? lat : null,
+    lng: hasCoords ? lng : null,
+    geolocated,
+    run: params.get('run') === '1'
+  };
+}
+
+function writeUrl(state, { run = false, push = false } = {}) {
+  const url = `${location.pathname}?${formStateToQuery(state, run)}`;
+  if (url === location.pathname + location.search) return;
+  if (push) history.pushState({ run }, '', url);
+  else history.replaceState({ run }, '', url);
+}
+
+// Form edits update the current entry in place; only executed searches push a new one
+function syncUrlFromForm() {
+  writeUrl(getFormState());
+}
+
+// preferSaved: on back/forward, redraw the stored response from search history when we have it
+function restoreFromUrl({ preferSaved = false } = {}) {
+  const state = queryToFormState(location.search);
+  if (!state) return;
+  applyFormState(state);
+  if (!state.run) {
+    hideAll();
+    return;
+  }
+
+  const saved = preferSaved
+    && loadHistory().find(h => h.response && historyKey(h.form) === historyKey(state));
+  if (saved) {
+    hideAll();
+    renderResults(saved.response);
+    return;
+  }
+  search({ pushUrl: false });
+}
+
+// ─── Search history ───────────────────────────────────────────────────────────
+
+const HISTORY_STORAGE_KEY = 'recommendations_history';
+const HISTORY_MAX_ENTRIES = 30;   // unpinned entries kept
+const HISTORY_MAX_RESPONSES = 10; // unpinned entries that keep their last response
+
+function loadHistory() {
+  try { return JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]'); }
+  catch { return []; }
+}
+
+function saveHistory(entries) {
+  // Stored responses are the bulk of the payload — drop them oldest-first until it fits
+  for (;;) {
+    try {
+      localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(entries));
+      return;
+    } catch (e) {
+      const victim = [...entries].reverse().find(h => h.response);
+      if (!victim) { console.warn('Could not save search history:', e); return; }
+      delete victim.response;
+    }
+  }
+}
+
+// Two searches are "the same" when the form would send the same request
+// (coordinates compared at ~1 m so a round trip through a deep-link URL still matches)
+function historyKey(form) {
+  return JSON.stringify([form.tab, [...form.categories].sort(), form.radius, form.maxResults,
+    form.tab === 'coords' || form.geolocated
+      ? [form.lat?.toFixed(5), form.lng?.toFixed(5)]
+      : form.address.toLowerCase()]);
+}
+
+function addToHistory(form, data) {
+  const entries = loadHistory();
+  const key = historyKey(form);
+  const existing = entries.find(h => historyKey(h.form) === key);
+  const entry = {
+    id: existing?.id ?? Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    pinned: existing?.pinned ?? false,
+    name: existing?.name ?? null,
+    form,
+    resolvedAddress: data.resolvedAddress || null,
+    resultCount: data.recommendations.length,
+    timestamp: Date.now(),
+    response: data
+  };
+
+  const rest = entries.filter(h => h.id !== entry.id);
+  const pinned = rest.filter(h => h.pinned);
+  const unpinned = rest.filter(h => !h.pinned);
+  const next = entry.pinned
+    ? [entry, ...pinned, ...unpinned]
+    : [...pinned, entry, ...unpinned];
+
+  // Trim old unpinned entries and the responses they carry
+  let kept = 0;
+  let withResponse = 0;
+  const trimmed = next.filter(h => h.pinned || ++kept <= HISTORY_MAX_ENTRIES);
+  for (const h of trimmed) {
+    if (!h.pinned && h.response && ++withResponse > HISTORY_MAX_RESPONSES) delete h.response;
+  }
+
+  saveHistory(trimmed);
+  renderHistory();
+}
+
+function findHistory(id) {
+  return loadHistory().find(h => h.id === id);
+}
+
+function updateHistory(id, change) {
+  const entries = loadHistory();
+  const entry = entries.find(h => h.id === id);
+  if (!entry) return;
+  change(entry);
+  // Pinned favourites stay on top
+  entries.sort((a, b) => (b.pinned - a.pinned) || (b.timestamp - a.timestamp));
+  saveHistory(entries);
+  renderHistory();
+}
+
+function togglePinHistory(id) {
+  const entry = findHistory(id);
+  if (!entry) return;
+  if (entry.pinned) {
+    updateHistory(id, h => { h.pinned = false; });
+    return;
+  }
+  const name = prompt('Name this saved search:', entry.name || historyTitle(entry));
+  if (name === null) return;
+  updateHistory(id, h => { h.pinned = true; h.name = name.trim() || null; });
+}
+
+function renameHistory(id) {
+  const entry = findHistory(id);
+  if (!entry) return;
+  const name = prompt('Rename saved search:', entry.name || historyTitle(entry));
+  if (name === null) return;
+  updateHistory(id, h => { h.name = name.trim() || null; });
+}
+
+function deleteHistory(id) {
+  saveHistory(loadHistory().filter(h => h.id !== id));
+  renderHistory();
+}
+
+function clearHistory() {
+  const pinned = loadHistory().filter(h => h.pinned);
+  saveHistory(pinned);
+  renderHistory();
+  showToast(pinned.length ? 'History cleared — pinned searches kept' : 'History cleared');
+}
+
+// Restore the form and run the search again against the API
+function rerunHistory(id) {
+  const entry = findHistory(id);
+  if (!entry) return;
+  applyFormState(entry.form);
+  search();
+}
+
+// Restore the form and redraw the stored response — no API call
+function showHistoryResult(id) {
+  const entry = findHistory(id);
+  if (!entry?.response) return;
+  applyFormState(entry.form);
+  writeUrl(entry.form, { run: true, push: true });
+  hideAll();
+  renderResults(entry.response);
+  showToast(`Showing saved results from ${new Date(entry.timestamp).toLocaleString()}`);
+}
+
+function historyTitle(entry) {
+  return entry.name || entry.resolvedAddress || entry.form.address
+    || `(${entry.form.lat?.toFixed(4)}, ${entry.form.lng?.toFixed(4)})`;
+}
+
+function renderHistory() {
+  const panel = document.getElementById('historyPanel');
+  const list = document.getElementById('historyList');
+  const entries = loadHistory();
+  panel.classList.toggle('hidden', entries.length === 0);
+  document.getElementById('historyCount').textContent = entries.length ? `(${entries.length})` : '';
+
+  list.innerHTML = entries.map(h => {
+    const cats = h.form.categories.join(', ');
+    return `
+      <div class="history-item ${h.pinned ? 'pinned' : ''}">
+        <button class="history-pin" onclick="togglePinHistory('${h.id}')"
+          title="${h.pinned ? 'Unpin' : 'Pin and name this search'}">${h.pinned ? '★' : '☆'}</button>
+        <div class="history-main">
+          <div class="history-title">${escHtml(historyTitle(h))}</div>
+          <div class="history-meta">
+            ${escHtml(cats)} · ${h.form.radius}m · ${h.resultCount} results · ${new Date(h.timestamp).toLocaleString()}
+          </div>
+        </div>
+        <div class="history-actions">
+          <button class="btn-sm" onclick="rerunHistory('${h.id}')">Run</button>
+          ${h.response ? `<button class="btn-sm" onclick="showHistoryResult('${h.id}')" title="Show the last results without calling the API">Show</button>` : ''}
+          ${h.pinned ? `<button class="btn-sm" onclick="renameHistory('${h.id}')">Rename</button>` : ''}
+          <button class="btn-sm" onclick="deleteHistory('${h.id}')" title="Remove from history" aria-label="Remove">&times;</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+// ─── Result sorting & filtering ───────────────────────────────────────────────
+// Works on the already-returned response; never triggers a new pipeline run.
+
+let currentResults = null; // { data, items } for the response on screen
+
+const resultView = {
+  sort: 'rank',
+  categories: new Set(),
+  levels: new Set(),
+  verifiedOnly: false,
+  minAgreement: 1,
+  maxDistance: null
+};
+
+const RESULT_SORT_OPTIONS = [
+  ['rank', 'Rank'],
+  ['confidence', 'Confidence score'],
+  ['rating', 'Google rating'],
+  ['reviews', 'Review count'],
+  ['distance', 'Distance']
+];
+
+const RESULT_SORTS = {
+  rank:       (a, b) => a.rank - b.rank,
+  confidence: (a, b) => (b.rec.confidenceScore - a.rec.confidenceScore) || a.rank - b.rank,
+  rating:     compareOptional(i => i.rec.enrichedPlaceData?.rating, 'desc'),
+  reviews:    compareOptional(i => i.rec.enrichedPlaceData?.userRatingsTotal, 'desc'),
+  distance:   compareOptional(i => i.distance, 'asc')
+};
+
+const CONFIDENCE_LEVELS = ['VeryHigh', 'High', 'Medium', 'Low'];
+const CONFIDENCE_LABELS = { VeryHigh: 'Very High', High: 'High', Medium: 'Medium', Low: 'Low' };
+const AGREEMENT_OPTIONS = [2, 3, 4, 5];
+const DISTANCE_OPTIONS = [250, 500, 1000, 2000, 5000];
+
+// Places without the value (no Google data, no coordinates) always sort last
+function compareOptional(get, dir) {
+  return (a, b) => {
+    const va = get(a);
+    const vb = get(b);
+    if (va == null && vb == null) return a.rank - b.rank;
+    if (va == null) return 1;
+    if (vb == null) return -1;
+    return (dir === 'asc' ? va - vb : vb - va) || a.rank - b.rank;
+  };
+}
+
+function buildResultItem(rec, rank, data) {
+  return {
+    rec,
+    rank,
+    category: recCategory(rec),
+    level: rec.confidenceLevel || 'Medium',
+    verified: !!rec.enrichedPlaceData?.isVerifiedRealPlace,
+    agreement: rec.agreementCount || 1,
+    distance: recDistance(rec, data)
+  };
+}
+
+// Multi-category searches tag every AI result "All"; fall back to the Places category
+function recCategory(rec) {
+  if (rec.category && rec.category !== 'All') return rec.category;
+  return rec.enrichedPlaceData?.category || 'All';
+}
+
+function recDistance(rec, data) {
+  if (rec.enrichedPlaceData?.distanceMeters) return rec.enrichedPlaceData.distanceMeters;
+  const coords = recCoordinates(rec);
+  if (!coords || (data.latitude === 0 && data.longitude === 0)) return null;
+  return haversineMeters(data.latitude, data.longitude, coords.lat, coords.lng);
+}
+
+function haversineMeters(lat1, lng1, lat2, lng2) {
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+          + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function categoryLabel(value) {
+  if (value === 'All') return 'Other';
+  return document.querySelector(`.chip[data-value="${value}"]`)?.textContent.trim() || value;
+}
+
+// except: the facet being counted is ignored, so its own counts show what selecting it would give
+function matchesResultView(item, except) {
+  const v = resultView;
+  if (except !== 'category' && v.categories.size && !v.categories.has(item.category)) return false;
+  if (except !== 'level' && v.levels.size && !v.levels.has(item.level)) return false;
+  if (except !== 'verified' && v.verifiedOnly && !item.verified) return false;
+  if (except !== 'agreement' && item.agreement < v.minAgreement) return false;
+  if (except !== 'distance' && v.maxDistance !== null
+      && (item.distance === null || item.distance > v.maxDistance)) return false;
+  return true;
+}
+
+function resetResultView() {
+  Object.assign(resultView, {
+    sort: 'rank',
+    categories: new Set(),
+    levels: new Set(),
+    verifiedOnly: false,
+    minAgreement: 1,
+    maxDistance: null
+  });
+  applyResultView();
+}
+
+function setResultView(key, value) {
+  resultView[key] = value;
+  applyResultView();
+}
+
+function toggleResultFacet(key, value) {
+  const set = resultView[key];
+  if (set.has(value)) set.delete(value); else set.add(value);
+  applyResultView();
+}
+
+function applyResultView() {
+  if (!currentResults) return;
+  const { data, items } = currentResults;
+  const visible = items
+    .filter(i => matchesResultView(i))
+    .sort(RESULT_SORTS[resultView.sort] || RESULT_SORTS.rank);
+
+  document.getElementById('resultsGrid').innerHTML = visible.length
+    ? visible.map(i => renderCard(i.rec, i.rank)).join('')
+    : '<div class="results-empty">No results match these filters.</div>';
+
+  renderMap(data, visible);
+  renderResultsToolbar(visible.length);
+}
+
+function renderResultsToolbar(shownCount) {
+  const items = currentResults.items;
+  const count = (except, pred) => items.filter(i => pred(i) && matchesResultView(i, except)).length;
+  const selected = cond => cond ? 'selected' : '';
+  const chip = (key, value, label, n, active) =>
+    `<button class="facet-chip ${active ? 'active' : ''}" ${n === 0 && !active ? 'disabled' : ''}
+             onclick="toggleResultFacet('${key}', '${value}')">${escHtml(label)} <span class="facet-count">${n}</span></button>`;
+
+  const categories = [...new Set(items.map(i => i.category))];
+  const levels = CONFIDENCE_LEVELS.filter(l => items.some(i => i.level === l));
+
+  document.getElementById('resultsToolbar').innerHTML = `
+    <div class="toolbar-row">
+      <label class="toolbar-field">Sort by
+        <select onchange="setResultView('sort', this.value)">
+          ${RESULT_SORT_OPTIONS.map(([value, label]) =>
+            `<option value="${value}" ${selected(resultView.sort === value)}>${label}</option>`).join('')}
+        </select>
+      </label>
+      <label class="toolbar-field">Agreement
+        <select onchange="setResultView('minAgreement', parseInt(this.value, 10))">
+          <option value="1">Any</option>
+          ${AGREEMENT_OPTIONS.map(n =>
+            `<option value="${n}" ${selected(resultView.minAgreement === n)}>${n}+ AIs (${count('agreement', i => i.agreement >= n)})</option>`).join('')}
+        </select>
+      </label>
+      <label class="toolbar-field">Max distance
+        <select onchange="setResultView('maxDistance', this.value ? parseInt(this.value, 10) : null)">
+          <option value="">Any</option>
+          ${DISTANCE_OPTIONS.map(m =>
+            `<option value="${m}" ${selected(resultView.maxDistance === m)}>≤ ${formatDistance(m)} (${count('distance', i => i.distance !== null && i.distance <= m)})</option>`).join('')}
+        </select>
+      </label>
+      <label class="checkbox-label">
+        <input type="checkbox" ${resultView.verifiedOnly ? 'checked' : ''}
+               onchange="setResultView('verifiedOnly', this.checked)" />
+        Verified only <span class="facet-count">${count('verified', i => i.verified)}</span>
+      </label>
+      <span class="toolbar-summary">Showing ${shownCount} of ${items.length}</span>
+      <button class="btn-sm" onclick="resetResultView()">Reset</button>
+    </div>
+    ${categories.length > 1 ? `
+      <div class="facet-row">
+        <span class="facet-label">Category</span>
+        ${categories.map(c => chip('categories', c, categoryLabel(c),
+          count('category', i => i.category === c), resultView.categories.has(c))).join('')}
+      </div>` : ''}
+    <div class="facet-row">
+      <span class="facet-label">Confidence</span>
+      ${levels.map(l => chip('levels', l, CONFIDENCE_LABELS[l],
+        count('level', i => i.level === l), resultView.levels.has(l))).join('')}
+    </div>
+  `;
+}
+
+// ─── Results map ──────────────────────────────────────────────────────────────
+// Minimal slippy map (Web Mercator, 256px tiles) — no external library, so it
+// works offline when Map:TileUrlTemplate points at a locally served tile set.
+
+const MAP_TILE_SIZE = 256;
+const MAP_FIT_MAX_ZOOM = 16;
+const MAP_FIT_PADDING = 40;
+
+let mapConfig = {
+  tileUrlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '© OpenStreetMap contributors',
+  minZoom: 3,
+  maxZoom: 19
+};
+
+// Current view + what is plotted on it
+const mapView = { lat: 0, lng: 0, zoom: 14, center: null, radiusMeters: 0, points: [] };
+const mapTiles = new Map(); // "z/x/y" → <img>
+let mapDrag = null;
+
+async function loadMapConfig() {
+  try {
+    const res = await fetch('/api/map/config');
+    if (!res.ok) return;
+    mapConfig = { ...mapConfig, ...(await res.json()) };
+  } catch (e) {
+    console.warn('Could not load map config:', e);
+  }
+  document.getElementById('mapAttribution').textContent = mapConfig.attribution || '';
+}
+
+function projectToPixels(lat, lng, zoom) {
+  const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+  const sin = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+}
+
+function unprojectFromPixels(x, y, zoom) {
+  const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - 2 * Math.PI * y / scale;
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lng: x / scale * 360 - 180
+  };
+}
+
+function metersPerPixel(lat, zoom) {
+  return 156543.03392 * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom);
+}
+
+// Prefer the verified Places coordinates; fall back to what the AI returned
+function recCoordinates(rec) {
+  const e = rec.enrichedPlaceData;
+  if (e && Number.isFinite(e.latitude) && Number.isFinite(e.longitude) && (e.latitude || e.longitude))
+    return { lat: e.latitude, lng: e.longitude };
+  if (Number.isFinite(rec.latitude) && Number.isFinite(rec.longitude))
+    return { lat: rec.latitude, lng: rec.longitude };
+  return null;
+}
+
+// items: the currently visible [{ rec, rank }] — filtered-out results get no marker
+function renderMap(data, items) {
+  const panel = document.getElementById('resultsMapPanel');
+  // (0, 0) means geocoding failed and the AI searched by address only
+  const hasCenter = data.latitude !== 0 || data.longitude !== 0;
+
+  mapView.center = hasCenter ? { lat: data.latitude, lng: data.longitude } : null;
+  mapView.radiusMeters = hasCenter ? (data.radiusMeters || 0) : 0;
+  mapView.points = [];
+  for (const { rec, rank } of items) {
+    const coords = recCoordinates(rec);
+    if (coords) mapView.points.push({ rank, name: rec.name, ...coords });
+  }
+
+  if (!mapView.center && mapView.points.length === 0) {
+    panel.classList.add('hidden');
+    return;
+  }
+  panel.classList.remove('hidden');
+
+  const overlay = document.querySelector('#resultsMap .map-overlay');
+  overlay.innerHTML = `
+    ${mapView.center ? '<div class="map-radius"></div><div class="map-center-marker" title="Search center"></div>' : ''}
+    ${mapView.points.map(p =>
+      `<button class="map-marker" data-rank="${p.rank}" title="${escHtml(p.name)}"
+               onclick="selectMapMarker(${p.rank})">${p.rank}</button>`
+    ).join('')}
+  `;
+
+  fitMapToResults();
+  drawMap();
+}
+
+function fitMapToResults() {
+  const el = document.getElementById('resultsMap');
+  const width = el.clientWidth || 400;
+  const height = el.clientHeight || 400;
+
+  const lats = [];
+  const lngs = [];
+  if (mapView.center) {
+    const dLat = mapView.radiusMeters / 111320;
+    const dLng = dLat / Math.max(Math.cos(mapView.center.lat * Math.PI / 180), 0.01);
+    lats.push(mapView.center.lat - dLat, mapView.center.lat + dLat);
+    lngs.push(mapView.center.lng - dLng, mapView.center.lng + dLng);
+  }
+  for (const p of mapView.points) { lats.push(p.lat); lngs.push(p.lng); }
+  if (lats.length === 0) return;
+
+  const north = Math.max(...lats), south = Math.min(...lats);
+  const east = Math.max(...lngs), west = Math.min(...lngs);
+
+  let zoom = Math.min(mapConfig.maxZoom, MAP_FIT_MAX_ZOOM);
+  for (; zoom > mapConfig.minZoom; zoom--) {
+    const nw = projectToPixels(north, west, zoom);
+    const se = projectToPixels(south, east, zoom);
+    if (se.x - nw.x <= width - 2 * MAP_FIT_PADDING && se.y - nw.y <= height - 2 * MAP_FIT_PADDING) break;
+  }
+
+  const nw = projectToPixels(north, west, zoom);
+  const se = projectToPixels(south, east, zoom);
+  const mid = unprojectFromPixels((nw.x + se.x) / 2, (nw.y + se.y) / 2, zoom);
+  mapView.zoom = zoom;
+  mapView.lat = mid.lat;
+  mapView.lng = mid.lng;
+}
+
+function drawMap() {
+  const el = document.getElementById('resultsMap');
+  if (!el || el.offsetParent === null) return;
+  const width = el.clientWidth;
+  const height = el.clientHeight;
+  const zoom = mapView.zoom;
+  const c = projectToPixels(mapView.lat, mapView.lng, zoom);
+  const originX = c.x - width / 2;
+  const originY = c.y - height / 2;
+  const tileCount = Math.pow(2, zoom);
+
+  // Tiles: reuse loaded <img> elements, drop the ones that scrolled out of view
+  const tilesEl = el.querySelector('.map-tiles');
+  const wanted = new Set();
+  for (let tx = Math.floor(originX / MAP_TILE_SIZE); tx * MAP_TILE_SIZE < originX + width; tx++) {
+    for (let ty = Math.floor(originY / MAP_TILE_SIZE); ty * MAP_TILE_SIZE < originY + height; ty++) {
+      if (ty < 0 || ty >= tileCount) continue;
+      const key = `${zoom}/${tx}/${ty}`;
+      wanted.add(key);
+      let img = mapTiles.get(key);
+      if (!img) {
+        const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+        img = document.createElement('img');
+        img.className = 'map-tile';
+        img.alt = '';
+        img.draggable = false;
+        img.onerror = () => img.classList.add('map-tile-missing');
+        img.src = mapConfig.tileUrlTemplate
+          .replace('{z}', zoom).replace('{x}', wrappedX).replace('{y}', ty);
+        tilesEl.appendChild(img);
+        mapTiles.set(key, img);
+      }
+      img.style.left = Math.round(tx * MAP_TILE_SIZE - originX) + 'px';
+      img.style.top = Math.round(ty * MAP_TILE_SIZE - originY) + 'px';
+    }
+  }
+  for (const [key, img] of mapTiles) {
+    if (!wanted.has(key)) { img.remove(); mapTiles.delete(key); }
+  }
+
+  // Overlay: radius circle, search center, ranked markers
+  const place = (node, lat, lng) => {
+    const p = projectToPixels(lat, lng, zoom);
+    node.style.left = Math.round(p.x - originX) + 'px';
+    node.style.top = Math.round(p.y - originY) + 'px';
+  };
+  if (mapView.center) {
+    const circle = el.querySelector('.map-radius');
+    const diameter = 2 * mapView.radiusMeters / metersPerPixel(mapView.center.lat, zoom);
+    circle.style.width = circle.style.height = Math.round(diameter) + 'px';
+    place(circle, mapView.center.lat, mapView.center.lng);
+    place(el.querySelector('.map-center-marker'), mapView.center.lat, mapView.center.lng);
+  }
+  for (const p of mapView.points) {
+    const marker = el.querySelector(`.map-marker[data-rank="${p.rank}"]`);
+    if (marker) place(marker, p.lat, p.lng);
+  }
+}
+
+function zoomMap(delta, anchorX, anchorY) {
+  const el = document.getElementById('resultsMap');
+  const zoom = Math.min(Math.max(mapView.zoom + delta, mapConfig.minZoom), mapConfig.maxZoom);
+  if (zoom === mapView.zoom) return;
+
+  // Keep the point under the cursor (or the center) fixed while zooming
+  const width = el.clientWidth;
+  const height = el.clientHeight;
+  const ax = anchorX ?? width / 2;
+  const ay = anchorY ?? height / 2;
+  const c = projectToPixels(mapView.lat, mapView.lng, mapView.zoom);
+  const anchor = unprojectFromPixels(c.x - width / 2 + ax, c.y - height / 2 + ay, mapView.zoom);
+  const a = projectToPixels(anchor.lat, anchor.lng, zoom);
+  const next = unprojectFromPixels(a.x - ax + width / 2, a.y - ay + height / 2, zoom);
+
+  mapView.zoom = zoom;
+  mapView.lat = next.lat;
+  mapView.lng = next.lng;
+  drawMap();
+}
+
+function panMapTo(lat, lng) {
+  mapView.lat = lat;
+  mapView.lng = lng;
+  drawMap();
+}
+
+function markSelectedResult(rank) {
+  document.querySelectorAll('.rec-card.selected, .map-marker.selected')
+    .forEach(n => n.classList.remove('selected'));
+  document.getElementById(`rec-card-${rank}`)?.classList.add('selected');
+  document.querySelector(`.map-marker[data-rank="${rank}"]`)?.classList.add('selected');
+}
+
+// Marker click → highlight and reveal the matching card
+function selectMapMarker(rank) {
+  if (mapDrag?.moved) return;
+  markSelectedResult(rank);
+  document.getElementById(`rec-card-${rank}`)
+    ?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Card click → pan the map to its marker (ignore clicks on the card's own links/buttons)
+function focusCardOnMap(rank, e) {
+  if (e?.target.closest('a, button, details')) return;
+  const point = mapView.points.find(p => p.rank === rank);
+  if (!point) return;
+  markSelectedResult(rank);
+  panMapTo(point.lat, point.lng);
+}
+
+function initMapInteractions() {
+  const el = document.getElementById('resultsMap');
+
+  el.addEventListener('pointerdown', e => {
+    if (e.button !== 0 || e.target.closest('.map-controls')) return;
+    const c = projectToPixels(mapView.lat, mapView.lng, mapView.zoom);
+    mapDrag = { startX: e.clientX, startY: e.clientY, cx: c.x, cy: c.y, moved: false };
+    el.classList.add('dragging');
+  });
+  window.addEventListener('pointermove', e => {
+    if (!mapDrag) return;
+    const dx = e.clientX - mapDrag.startX;
+    const dy = e.clientY - mapDrag.startY;
+    if (Math.abs(dx) + Math.abs(dy) > 3) mapDrag.moved = true;
+    if (!mapDrag.moved) return;
+    const next = unprojectFromPixels(mapDrag.cx - dx, mapDrag.cy - dy, mapView.zoom);
+    panMapTo(next.lat, next.lng);
+  });
+  window.addEventListener('pointerup', () => {
+    if (!mapDrag) return;
+    el.classList.remove('dragging');
+    // Let the click that ends a drag see `moved` before clearing it
+    setTimeout(() => { mapDrag = null; }, 0);
+  });
+
+  let lastWheelAt = 0;
+  el.addEventListener('wheel', e => {
+    e.preventDefault();
+    // Trackpads fire dozens of wheel events per gesture — one zoom step per burst
+    if (e.timeStamp - lastWheelAt < 200) return;
+    lastWheelAt = e.timeStamp;
+    const rect = el.getBoundingClientRect();
+    zoomMap(e.deltaY < 0 ? 1 : -1, e.clientX - rect.left, e.clientY - rect.top);
+  }, { passive: false });
+
+  window.addEventListener('resize', drawMap);
 }
 
 // Initialization
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  await restoreVaultSession(); // before anything reads settings
   loadProviderStatus();
   updateSettingsIndicator(loadSettings());
+  loadMapConfig();
+  initMapInteractions();
+  renderHistory();
+
+  // Keep the URL in sync with the form, and restore searches on back/forward
+  const inputPanel = document.querySelector('.input-panel');
+  inputPanel.addEventListener('input', syncUrlFromForm);
+  inputPanel.addEventListener('change', syncUrlFromForm);
+  inputPanel.addEventListener('click', e => {
+    if (e.target.closest('.chip, .tab-btn')) syncUrlFromForm();
+  });
+  window.addEventListener('popstate', () => restoreFromUrl({ preferSaved: true }));
+  restoreFromUrl();
 
   const addressInput = document.getElementById('address');
   addressInput.addEventListener('keydown', e => {